@@ -0,0 +1,99 @@
+'use strict'
+// Times parsers on inputs of several MB, to see how parsing time grows with
+// the input size.  Run with `npm run benchmark`.
+//
+// Each benchmark also runs the same parser built from primitives that match
+// against a slice of the input starting at the offset, as `p.string` and
+// `p.regex` used to.  Whether slicing copies the rest of the input, making
+// parsing time grow with the square of the input size, depends on the
+// JavaScript engine: V8 can share memory between a string and its slices.
+
+const p = require('./index.js')
+
+const sizes = [1, 2, 4].map((megabytes) => megabytes * 1024 * 1024)
+
+const slicingString = (str) => p.custom((input, i) =>
+  input.slice(i, i + str.length) === str
+    ? { status: true, index: i + str.length, value: str }
+    : { status: false, index: i, value: [`'${str}'`] })
+
+const slicingRegex = (re) => {
+  const anchored = RegExp(`^(?:${re.source})`, re.flags)
+  return p.custom((input, i) => {
+    const match = anchored.exec(input.slice(i))
+    return match
+      ? { status: true, index: i + match[0].length, value: match[0] }
+      : { status: false, index: i, value: [`${re}`] }
+  })
+}
+
+const benchmarks = [
+  {
+    name: 'words',
+    makeInput: (size) => 'lorem ipsum dolor sit amet '.repeat(size / 27),
+    makeParser: (string, regex) =>
+      p.times(p.seq([regex(/[a-z]+/), string(' ')]), 0, Infinity)
+  },
+  {
+    name: 'keywords',
+    makeInput: (size) => 'if x then y else z;\n'.repeat(size / 20),
+    makeParser: (string, regex) => {
+      const name = regex(/[a-z]/)
+      return p.times(p.seq([
+        string('if '), name, string(' then '), name, string(' else '), name,
+        string(';\n')
+      ]), 0, Infinity)
+    }
+  },
+  {
+    name: 'numbers',
+    makeInput: (size) => '[' + '12.5, 3, -40.25, '.repeat(size / 17) + '0]',
+    makeParser: (string, regex) => {
+      const number = p.map(regex(/-?[0-9]+(\.[0-9]+)?/), Number)
+      return p.seq([
+        string('['),
+        p.times(p.seq([number, string(', ')]), 0, Infinity),
+        number,
+        string(']')
+      ])
+    }
+  }
+]
+
+// The fastest of a few runs, as the others are more likely to include time
+// spent on other things, like garbage collection or warming up.
+const time = (parser, input, runs = 3) => {
+  let fastest = Infinity
+  for (let run = 0; run < runs; ++run) {
+    const start = process.hrtime.bigint()
+    const result = parser(input)
+    const milliseconds = Number(process.hrtime.bigint() - start) / 1e6
+    if (!result.status || result.index !== input.length) {
+      throw Error(`Benchmark parser failed: ${JSON.stringify(result.value)}`)
+    }
+    fastest = Math.min(fastest, milliseconds)
+  }
+  return fastest
+}
+
+const formatRow = (cells) => cells.map((cell, i) =>
+  i === 0 ? String(cell).padEnd(10) : String(cell).padStart(12)).join('')
+
+console.log(formatRow(['', 'size', 'p.string &', 'slicing', 'speedup']))
+console.log(formatRow(['', '', 'p.regex', '', '']))
+for (const { name, makeInput, makeParser } of benchmarks) {
+  const parser = makeParser(p.string, p.regex)
+  const slicingParser = makeParser(slicingString, slicingRegex)
+  for (const size of sizes) {
+    const input = makeInput(size)
+    const ms = time(parser, input)
+    const slicingMs = time(slicingParser, input)
+    console.log(formatRow([
+      name,
+      `${(input.length / 1024 / 1024).toFixed(1)} MB`,
+      `${ms.toFixed(0)} ms`,
+      `${slicingMs.toFixed(0)} ms`,
+      `${(slicingMs / ms).toFixed(1)}x`
+    ]))
+  }
+}
@@ -1,10 +1,15 @@
 'use strict'
 
-// Colour handling used by `.debug`
+// Colour handling used by `.debug` and `p.codeFrame`
 const supportsColour = require('supports-color')
 const colour = require('ansi-colors')
 const sliceWithContext = require('slice-with-context')
 colour.enabled = supportsColour.stdout.hasBasic === true
+// For output that asks for colour regardless, or for none.
+const colourAlways = colour.create()
+colourAlways.enabled = true
+const noColour = colour.create()
+noColour.enabled = false
 
 const Partser = {}
 module.exports = Partser
@@ -26,6 +31,14 @@ const parsersMap = new WeakMap()
 const isParser = p => parsersMap.has(p)
 Partser.isParser = isParser
 
+//
+// This WeakMap stores what kind of parser each parser behaviour belongs to,
+// and which parsers it calls, so that parsers can be analysed without running
+// them (see `p.analyse`).  It is keyed by behaviour rather than by parser, so
+// that it follows parsers through `p.replace` and `p.clone`.
+//
+const parserShapes = new WeakMap()
+
 const toString = x => Object.prototype.toString.call(x)
 
 // Helpers for checking argument types
@@ -42,13 +55,27 @@ const assertNumber = assert('number', (x) => typeof x === 'number')
 const assertRegexp = assert('regex', (x) => x instanceof RegExp)
 const assertFunction = assert('function', (x) => typeof x === 'function')
 const assertString = assert('string', (x) => typeof x === 'string')
+const assertArray = assert('array', Array.isArray)
+const assertStringInput =
+  assert('string input', (x) => typeof x === 'string')
+const assertBinaryInput = assert('binary input', (x) => isBinary(x))
+
+// Besides strings, parsers can read arrays of tokens, and binary data (which
+// includes Node's Buffers).  Offsets count their elements instead of
+// characters.
+const isBinary = (x) => x instanceof Uint8Array
+const unitName = (input) => {
+  if (typeof input === 'string') return 'character'
+  else if (isBinary(input)) return 'byte'
+  else return 'token'
+}
 
 const skip = (...parsers) => {
   return Partser.map(Partser.seq(parsers), ([x]) => x) // first only
 }
 
 // Base parser constructor
-const Parser = Partser.Parser = (name, behaviour) => {
+const Parser = Partser.Parser = (name, behaviour, shape) => {
   //
   // A parser can be called in 3 different ways:
   //
@@ -69,43 +96,223 @@ const Parser = Partser.Parser = (name, behaviour) => {
   // The `behaviour` property is the basic behaviour of the function i.e. the
   // same as `_` but without calling debug handlers.
   //
-  const parser = (input, env, index = 0) =>
-    skip(parser, Partser.eof)._(input, index, env)
+  // The optional `shape` describes the parser for `p.analyse`.  Parsers
+  // without one are treated like `p.custom` parsers:  They could do anything.
+  //
+  const parser = (input, env, index = 0, options = {}) => {
+    const call = newCall(options)
+    // A call nested in an asynchronous parse can wait for promises too.
+    if (currentCall) call.async = currentCall.async
+    return parseWholeInput(parser, input, env, index, call)
+  }
   parser.behaviour = behaviour
   parser.displayName = name
   parser._ = (input, index, env, debugHandler) => {
+    if (currentCall && currentCall.limits) checkLimits(currentCall.limits, index)
+    const async = currentCall && currentCall.async
+    // Once an asynchronous parse waits for a promise, the rest of it is moot.
+    if (async && async.pending) return pendingFailure(index)
     if (debugHandler) { debugHandler.enter(parser, input, index, env) }
-    const result = parser.behaviour(input, index, env, debugHandler)
+    const errorCount = currentCall ? currentCall.errors.length : 0
+    // Parsers made without a shape could read the input in any way.
+    if (currentCall && currentCall.reads && !parserShapes.has(parser.behaviour)) {
+      currentCall.reads.opaque = true
+    }
+    const result = async
+      ? resumingBehaviour(parser, input, index, env, debugHandler)
+      : parser.behaviour(input, index, env, debugHandler)
+    // Errors that `p.recover` recorded while this parser ran were part of a
+    // failed attempt, so they're moot.
+    if (!result.status && currentCall) currentCall.errors.length = errorCount
     if (debugHandler) { debugHandler.exit(parser, input, index, env, result) }
     return result
   }
   parsersMap.set(parser, true)
+  if (shape) parserShapes.set(behaviour, shape)
   return parser
 }
 
+//
+// Some parsers need to keep state that lives for exactly as long as one
+// top-level parser call, such as `p.memo`'s cache.  Rather than requiring
+// every parser (including users' `p.custom` parsers) to pass such state along
+// to the parsers they call, we keep the state of the ongoing call here.
+//
+// Parsing is synchronous, so there is only ever one ongoing call.  A parser
+// can however call another parser's user-facing function during parsing, which
+// starts a nested call; `withCall` restores the outer call's state once that
+// returns.
+//
+// If a parser's `_` is called directly, outside of any top-level call, then
+// `currentCall` is `undefined`, and parsers that use it must cope without.
+//
+let currentCall
+const newCall = (options = {}, outer = currentCall) => ({
+  options,
+  memo: new Map(),
+  leftRec: new Map(),
+  seedReads: 0,
+  errors: [],
+  // For incremental parsing, a record of the input read by the result being
+  // computed.  See `p.reparse`.
+  reads: options.incremental ? newReads() : undefined,
+  // When reparsing, what the previous call remembered, and the edit since then.
+  previous: undefined,
+  // When parsing a stream, where the input comes from.  See `p.stream`.
+  stream: undefined,
+  limits: newLimits(options, outer && outer.limits),
+  // The descriptions of the `p.desc` parsers running right now, and those
+  // that were running when the furthest failure so far happened.  See
+  // `p.explainError`.
+  rules: [],
+  furthestRules: { index: -1, rules: [] },
+  // The line starts of the input last looked up.  See `lineStartsOf`.
+  lineStarts: undefined,
+  // When parsing asynchronously, what the parse has found out so far, kept
+  // while it restarts.  See `p.parseAsync`.
+  async: undefined
+})
+//
+// A call's options can limit how many parsers it calls, or how long it takes,
+// or let it be cancelled.  Every parser checks the limits when it is called,
+// and if one has been reached, throws `ABORT` to unwind the whole parse at
+// once.  The top-level call catches it, and returns a failure that says which
+// limit stopped it.
+//
+// The limits of a nested call also count towards those of the call it is
+// nested in, so a nested call can't go on past them either.  If one of those
+// is reached, the nested call leaves `ABORT` for the outer call to catch.
+//
+const ABORT = {}
+const newLimits = ({ maxSteps, timeout, signal }, outer) => {
+  if (maxSteps === undefined && timeout === undefined && signal === undefined &&
+      !outer) {
+    return undefined
+  }
+  return {
+    steps: 0,
+    maxSteps,
+    deadline: timeout === undefined ? undefined : Date.now() + timeout,
+    signal,
+    // How far into the input the parse got.
+    furthest: 0,
+    // Which option stopped the parse, once one has.
+    reason: undefined,
+    outer
+  }
+}
+const checkLimits = (limits, index) => {
+  if (index > limits.furthest) limits.furthest = index
+  for (; limits; limits = limits.outer) {
+    limits.steps += 1
+    if (limits.steps > limits.maxSteps) limits.reason = 'maxSteps'
+    else if (limits.deadline !== undefined && Date.now() > limits.deadline) {
+      limits.reason = 'timeout'
+    } else if (limits.signal && limits.signal.aborted) limits.reason = 'signal'
+    if (limits.reason) throw ABORT
+  }
+}
+
+// The failure of a call that `e` was thrown out of, if that was its own limit
+// stopping it.
+const abortedFailure = (call, e) => {
+  if (e !== ABORT || !call.limits.reason) throw e
+  const { furthest, reason } = call.limits
+  return { status: false, index: furthest, value: [], aborted: reason }
+}
+
+const withCall = (call, f) => {
+  const outerCall = currentCall
+  currentCall = call
+  try {
+    return f()
+  } finally {
+    currentCall = outerCall
+  }
+}
+
+// Calls the parser for the whole input, as users would expect of the
+// user-facing function.
+const parseWholeInput = (parser, input, env, index, call) => {
+  let result
+  try {
+    result = uncut(uncommitted(withCall(call, () =>
+      skip(parser, Partser.eof)._(input, index, env))))
+  } catch (e) {
+    return abortedFailure(call, e)
+  }
+  if (result.status && call.errors.length) result.errors = call.errors
+  if (!result.status && call.furthestRules.index === result.index) {
+    result = Object.assign({}, result)
+    failureRules.set(result, call.furthestRules.rules)
+  }
+  if (call.reads && !call.async) {
+    // A failure could be a result object that's also remembered by `p.memo`,
+    // so make sure we have our own.
+    result = Object.assign({}, result)
+    incrementalStates.set(result, { parser, input, env, index, call })
+  }
+  return result
+}
+
 const makeSuccess = (index, value) =>
   ({ status: true, index, value })
 
 const makeFailure = (index, expected) =>
   ({ status: false, index, value: [expected] })
 
+// A failure after a `p.cut` is committed, until the nearest enclosing `p.alt`
+// returns it as its own failure, without trying its other alternatives.
+const committed = (result) =>
+  result.committed ? result : Object.assign({}, result, { committed: true })
+
+const uncommitted = (result) => {
+  if (!result.committed) return result
+  const copy = Object.assign({}, result)
+  delete copy.committed
+  return copy
+}
+
+// A success that a `p.cut` matched in is marked too, so that a `p.seq` it is
+// part of knows to commit to the rest.  The nearest `p.alt` removes the mark.
+const cutSuccess = (result) =>
+  result.cut ? result : Object.assign({}, result, { cut: true })
+
+const uncut = (result) => {
+  if (!result.cut) return result
+  const copy = Object.assign({}, result)
+  delete copy.cut
+  return copy
+}
+
 const mergeOver = (() => {
   const furthest = (result) => result.status ? -1 : result.index
   const expected = (result) => result.value
+  const contextOf = (result) => result.context || []
 
   // Given a parse result and a previously existing failure, return whichever
   // is "better" (either because it succeeded, or because it matched more of
   // the input before before failing).  If they are equal failures, combine
-  // their 'expected' values.
+  // their 'expected' values.  Committed failures (see `p.cut`) are kept as
+  // they are.
   return (next, previous) => {
-    if (!previous || next.status || furthest(next) > furthest(previous)) {
+    if (!previous || next.status || next.committed ||
+        furthest(next) > furthest(previous)) {
       return next
+    } else if (furthest(next) < furthest(previous)) {
+      return previous
     } else {
-      return {
+      const merged = {
         status: false,
         index: next.index,
         value: expected(next).concat(expected(previous))
       }
+      // Keep the deeper of their `p.context` stacks.
+      const context = contextOf(next).length >= contextOf(previous).length
+        ? next.context
+        : previous.context
+      if (context) merged.context = context
+      return merged
     }
   }
 })()
@@ -117,10 +324,13 @@ const formatExpected = (expected) => {
 
 const formatGot = (input, error) => {
   const i = error.index
-  const where = `at character ${i}`
+  const where = `at ${unitName(input)} ${i}`
 
   if (i === input.length) return `${where}, got end of input`
-  else {
+  else if (isBinary(input)) return `${where}, got ${hexByte(input[i])}`
+  else if (typeof input !== 'string') {
+    return `${where}, got '${tokenText(input[i])}'`
+  } else {
     const amountOfContext = 10
     const remainingCharsInInput = input.length - i
     let actualValue = input.slice(i, i + amountOfContext)
@@ -129,8 +339,98 @@ const formatGot = (input, error) => {
   }
 }
 
+// How a token is shown in error messages and debug output:  Its `value`
+// property if it has one, as in tokens like `{ type, value }`.
+const tokenText = (token) => {
+  if (typeof token === 'string') return token
+  if (token && token.value !== undefined) return String(token.value)
+  return JSON.stringify(token)
+}
+
+const hexDigits = (byte) => byte.toString(16).padStart(2, '0')
+const hexByte = (byte) => `0x${hexDigits(byte)}`
+
+// What went wrong, without saying where.
+const formatProblem = (error) => {
+  const problem = error.aborted
+    ? `stopped by the ${error.aborted} option`
+    : `expected ${formatExpected(error.value)}`
+  if (!error.context || !error.context.length) return problem
+  return `${problem} while parsing ${error.context.join(' > ')}`
+}
+
 Partser.formatError = (input, error) =>
-  `expected ${formatExpected(error.value)} ${formatGot(input, error)}`
+  `${formatProblem(error)} ${formatGot(input, error)}`
+
+// This WeakMap stores which `p.desc` parsers were running when the parse that
+// returned a failure failed, outermost first.
+const failureRules = new WeakMap()
+
+// Sorts what a failure expected into the kinds of thing it is.  Failures of
+// `p.custom` parsers can expect values other than Strings, which are shown as
+// `p.formatError` shows them.
+const groupExpected = (expected) => {
+  const groups = { literals: [], patterns: [], descriptions: [] }
+  for (const x of expected.map(String)) {
+    if (x.startsWith("'")) groups.literals.push(x)
+    else if (x.startsWith('/')) groups.patterns.push(x)
+    else groups.descriptions.push(x)
+  }
+  return groups
+}
+
+// What was found at offset `i` of the input, or `undefined` at its end.
+const foundAt = (input, i) => {
+  if (i >= input.length) return undefined
+  if (typeof input === 'string') return String.fromCodePoint(input.codePointAt(i))
+  return input[i]
+}
+
+Partser.explainError = (input, error) => {
+  const expected = error.aborted ? [] : Array.from(new Set(error.value))
+  const explanation = {
+    message: Partser.formatError(input, error),
+    index: error.index
+  }
+  if (typeof input === 'string') {
+    Object.assign(explanation, lineAndColumnOfOffset(input, error.index))
+  }
+  Object.assign(explanation, {
+    expected,
+    groups: groupExpected(expected),
+    found: foundAt(input, error.index),
+    context: error.context || [],
+    rules: failureRules.get(error) || []
+  })
+  if (error.aborted) explanation.aborted = error.aborted
+  return explanation
+}
+
+Partser.codeFrame = (input, error, options = {}) => {
+  assertString('codeFrame', input)
+  const { linesBefore = 2, linesAfter = 0 } = options
+  const paint = options.colour ? colourAlways : noColour
+  const { line, column } = lineAndColumnOfOffset(input, error.index)
+
+  const lines = input.split('\n').map((text) => text.replace(/\r$/, ''))
+  const first = Math.max(1, line - linesBefore)
+  const last = Math.min(lines.length, line + linesAfter)
+  const gutterWidth = String(last).length
+  const gutter = (number) => ` ${String(number).padStart(gutterWidth)} | `
+
+  const frame = []
+  for (let n = first; n <= last; ++n) {
+    const text = lines[n - 1]
+    if (n === line) {
+      frame.push(paint.red('>') + gutter(n) + text)
+      // Keep tabs before the caret, so it lines up however they're shown.
+      const indent = text.slice(0, column - 1).replace(/[^\t]/g, ' ')
+      frame.push(' ' + gutter('') + indent +
+        paint.red(`^ ${formatProblem(error)}`))
+    } else frame.push(' ' + gutter(n) + text)
+  }
+  return frame.join('\n')
+}
 
 Partser.except = (allowed, forbidden) => {
   assertParser('except', allowed)
@@ -138,16 +438,7 @@ Partser.except = (allowed, forbidden) => {
   return Parser('except', (input, i, env, debugHandler) => {
     const forbiddenResult = forbidden._(input, i, env, debugHandler)
     if (forbiddenResult.status) {
-      return makeFailure(i, `something that is not '${forbiddenResult.value}'`)
-      // This expected-value text's vagueness is unfortunate.  It would be more
-      // helpful if it said what *was* expected rather than what *was not*.
-      // It's due to an architectural limitation with this library:  Parsers
-      // only generate an expected-value dynamically when they fail.  This
-      // means we can't just ask a parser what its expected value is.
-      //
-      // A more informative error could be enabled in the future by extending
-      // the parser API with a method of asking the parser what it would
-      // hypothetically expect to read next, if called at a given offset `i`.
+      return forbiddenFailure(allowed, input, i, forbiddenResult.value)
     } else {
       const allowedResult = allowed._(input, i, env, debugHandler)
       if (allowedResult.status) return allowedResult
@@ -156,6 +447,113 @@ Partser.except = (allowed, forbidden) => {
         ` (except ${formatExpected(forbiddenResult.value)})`)
       }
     }
+  }, { kind: 'except', children: [allowed, forbidden] })
+}
+
+// What each allowed parser of a `p.except` can start with, by its behaviour
+// and then the unit of input, as analysed on its first forbidden match.
+const allowedFirsts = new WeakMap()
+
+// The failure of `p.except` when the forbidden parser matched.
+const forbiddenFailure = (allowed, input, i, value) => {
+  const unit = unitName(input)
+  let firsts = allowedFirsts.get(allowed.behaviour)
+  if (!firsts) {
+    firsts = new Map()
+    allowedFirsts.set(allowed.behaviour, firsts)
+  }
+  if (!firsts.has(unit)) {
+    const { first, opaque } = analyse(allowed, unit)
+    firsts.set(unit, opaque ? [] : first)
+  }
+  // Say what *was* expected, if analysing the allowed parser can tell.
+  // Otherwise, we can only say what was not.
+  const first = firsts.get(unit)
+  const text = tokenText(value)
+  if (first.length === 0) {
+    return makeFailure(i, `something that is not '${text}'`)
+  }
+  return makeFailure(i, `${formatExpected(first)} (except '${text}')`)
+}
+
+Partser.lookahead = (parser) => {
+  assertParser('lookahead', parser)
+  return Parser('lookahead', (input, i, env, debugHandler) => {
+    const errorCount = currentCall ? currentCall.errors.length : 0
+    const result = parser._(input, i, env, debugHandler)
+    if (!result.status) return result
+    // Whatever `p.recover` recorded will be recorded again when the input is
+    // actually parsed.
+    if (currentCall) currentCall.errors.length = errorCount
+    return makeSuccess(i, result.value)
+  }, { kind: 'lookahead', children: [parser] })
+}
+
+Partser.notFollowedBy = (parser) => {
+  assertParser('notFollowedBy', parser)
+  return Parser('notFollowedBy', (input, i, env, debugHandler) => {
+    const result = parser._(input, i, env, debugHandler)
+    if (result.status) {
+      return makeFailure(i,
+        `something that is not '${tokenText(result.value)}'`)
+    }
+    return makeSuccess(i, null)
+  }, { kind: 'notFollowedBy', children: [parser] })
+}
+
+Partser.cut = (parser) => {
+  assertParser('cut', parser)
+  return Parser('cut', (input, i, env, debugHandler) => {
+    const result = parser._(input, i, env, debugHandler)
+    return result.status ? cutSuccess(result) : committed(result)
+  }, { kind: 'cut', children: [parser] })
+}
+
+Partser.recover = (parser, syncParser, makeErrorNode) => {
+  assertParser('recover', parser)
+  assertParser('recover', syncParser)
+  assertFunction('recover', makeErrorNode)
+
+  return Parser('recover', (input, i, env, debugHandler) => {
+    const result = parser._(input, i, env, debugHandler)
+    if (result.status) return result
+
+    // Skip input from where the parser failed, until just after a match of
+    // the syncParser, or the end of input.
+    let j = result.index
+    let synced = false
+    for (; j < input.length; ++j) {
+      const errorCount = currentCall ? currentCall.errors.length : 0
+      const syncResult = syncParser._(input, j, env, debugHandler)
+      // The sync point isn't part of the parse, so any errors recorded while
+      // parsing it aren't either.
+      if (currentCall) currentCall.errors.length = errorCount
+      if (syncResult.status) {
+        j = syncResult.index
+        synced = true
+        break
+      }
+    }
+    // Without a sync point, what is skipped depends on where the input ends,
+    // and more input could still have one.
+    if (!synced) readsToEnd(input, input.length)
+
+    // If we wouldn't skip anything, there's nothing to recover from.  This
+    // also prevents a `p.times` from repeating an empty recovery forever at
+    // the end of input.
+    if (j === i) return result
+
+    const error = { status: false, index: result.index, value: result.value }
+    if (currentCall) currentCall.errors.push(error)
+    markReads('fixed')
+    if (currentCall && currentCall.reads) {
+      noteRead(currentCall.reads, i, synced ? j : Infinity)
+    }
+    return makeSuccess(j, makeErrorNode(error, input.slice(i, j), env))
+  }, {
+    kind: 'recover',
+    children: [parser, syncParser],
+    args: { makeErrorNode }
   })
 }
 
@@ -167,31 +565,44 @@ Partser.subEnv = (baseParser, deriveEnv) => {
   return Parser('subEnv', (input, i, env, debugHandler) => {
     const newEnv = deriveEnv(env)
     return baseParser._(input, i, newEnv, debugHandler)
+  }, {
+    kind: 'subEnv',
+    children: [baseParser],
+    args: { derive: deriveEnv }
   })
 }
 
+// To aid in debugging, if what `p.from`'s function returned isn't a parser,
+// then also mention the function in the assert message.
+const assertFound = (lookup, foundParser) => {
+  assert('parser', isParser)(`from(${lookup})`, foundParser)
+  return foundParser
+}
+
 Partser.from = (lookup) => {
   assertFunction('from', lookup)
   return Parser('from', (input, i, env, debugHandler) => {
-    const foundParser = lookup(env)
-    // To aid in debugging, if this isn't a parser, then also mention the
-    // lookup function in the assert message.
-    assert('parser', isParser)(`from(${lookup})`, foundParser)
-    return foundParser._(input, i, env, debugHandler)
-  })
+    const foundParser = settle(lookup, env)
+    if (foundParser === PENDING) return pendingFailure(i)
+    return assertFound(lookup, foundParser)._(input, i, env, debugHandler)
+  }, { kind: 'from', children: [], args: { decideParser: lookup } })
 }
 
 Partser.seq = (parsers, chainEnv = undefined) => {
   parsers.forEach((x) => assertParser('seq', x))
   return Parser(`seq(*${parsers.length})`, (input, i, env, debugHandler) => {
     let result
+    let afterCut = false
     const accum = new Array(parsers.length)
 
     for (let j = 0; j < parsers.length; j += 1) {
       const nextResult = parsers[j]._(input, i, env, debugHandler)
       result = mergeOver(nextResult, result)
-      if (!result.status) return result
+      if (!result.status) return afterCut ? committed(result) : result
       else {
+        // Once a `p.cut` has matched, we're committed to the rest of the
+        // sequence.
+        if (nextResult.cut) afterCut = true
         if (chainEnv) {
           env = chainEnv(result.value, env)
         }
@@ -200,13 +611,26 @@ Partser.seq = (parsers, chainEnv = undefined) => {
       }
     }
 
-    return mergeOver(makeSuccess(i, accum), result)
+    const success = mergeOver(makeSuccess(i, accum), result)
+    return afterCut ? cutSuccess(success) : success
+  }, {
+    kind: 'seq',
+    children: parsers.slice(),
+    args: { chainEnv }
   })
 }
 
 Partser.custom = (parsingFunction) => {
   assertFunction('custom', parsingFunction)
-  return Parser('custom', parsingFunction)
+  return Parser('custom', (input, i, env, debugHandler) => {
+    markReads('opaque')
+    const result = settle(parsingFunction, input, i, env, debugHandler)
+    return result === PENDING ? pendingFailure(i) : result
+  }, {
+    kind: 'custom',
+    children: [],
+    args: { implementation: parsingFunction }
+  })
 }
 
 Partser.alt = (parsers) => {
@@ -217,10 +641,11 @@ Partser.alt = (parsers) => {
     let result
     for (let j = 0; j < parsers.length; j += 1) {
       result = mergeOver(parsers[j]._(input, i, env, debugHandler), result)
-      if (result.status) return result
+      if (result.status) return uncut(result)
+      if (result.committed) return uncommitted(result)
     }
     return result
-  })
+  }, { kind: 'alt', children: parsers.slice() })
 }
 
 Partser.times = (parser, min, max, chainEnv = undefined) => {
@@ -235,6 +660,7 @@ Partser.times = (parser, min, max, chainEnv = undefined) => {
     let times = 0
     let index = i
     let previousResult
+    let cut = false
 
     // First require successes until `min`.  In other words, return failure
     // if we mismatch before reaching `min` times.
@@ -245,6 +671,7 @@ Partser.times = (parser, min, max, chainEnv = undefined) => {
         previousResult = mergedResult
         index = result.index
         successes.push(result.value)
+        if (result.cut) cut = true
         if (chainEnv) {
           env = chainEnv(result.value, env)
         }
@@ -256,20 +683,41 @@ Partser.times = (parser, min, max, chainEnv = undefined) => {
     for (; times < max; ++times) {
       const result = parser._(input, index, env, debugHandler)
       const mergedResult = mergeOver(result, previousResult)
+      if (result.status && result.index === index && max === Infinity) {
+        const failure = zeroWidthFailure(parser, index)
+        if (failure) return failure
+        break
+      }
       if (result.status) {
         previousResult = mergedResult
         index = result.index
         successes.push(result.value)
+        if (result.cut) cut = true
         if (chainEnv) {
           env = chainEnv(result.value, env)
         }
-      } else break
+      } else if (result.committed) return result
+      else break
     }
 
-    return makeSuccess(index, successes)
+    const success = makeSuccess(index, successes)
+    return cut ? cutSuccess(success) : success
+  }, {
+    kind: 'times',
+    children: [parser],
+    args: { min, max, chainEnv }
   })
 }
 
+// Repeating a parser that doesn't advance would never end, so `p.times` with
+// no maximum fails instead, unless the call's options say to just stop
+// repeating.
+const zeroWidthFailure = (parser, index) => {
+  const setting = currentCall && currentCall.options.zeroWidthRepetition
+  if (setting === 'stop') return
+  return makeFailure(index, `${parser.displayName} to consume input`)
+}
+
 Partser.map = (parser, fn) => {
   assertParser('map', parser)
   assertFunction('map', fn)
@@ -277,15 +725,544 @@ Partser.map = (parser, fn) => {
   return Parser('map', (input, i, env, debugHandler) => {
     const result = parser._(input, i, env, debugHandler)
     if (!result.status) return result
-    return makeSuccess(result.index, fn(result.value, env))
+    const success = makeSuccess(result.index, fn(result.value, env))
+    return result.cut ? cutSuccess(success) : success
+  }, { kind: 'map', children: [parser], args: { transformer: fn } })
+}
+
+Partser.memo = (parser) => {
+  assertParser('memo', parser)
+
+  return Parser('memo', (input, i, env, debugHandler) => {
+    if (!currentCall) return parser._(input, i, env, debugHandler)
+
+    // Results are cached by the wrapped parser's current behaviour, rather
+    // than its identity, so that a `p.replace`d parser isn't answered from
+    // the cache of what it used to be.
+    const key = parser.behaviour
+    const entries = memoEntries(currentCall.memo, input, key, i)
+
+    // The result may depend on the environment, so only reuse it if it is
+    // the very same environment object.  Environments that are equal but
+    // separately created (as by `p.subEnv`) count as different.
+    const cached = entries.find((entry) => entry.env === env)
+    if (cached) {
+      useMemoEntry(cached)
+      return cached.result
+    }
+
+    if (currentCall.previous && currentCall.previous.input === input) {
+      const reused = reusableEntry(currentCall.previous, key, i, env, input)
+      if (reused) {
+        entries.push(reused)
+        useMemoEntry(reused)
+        if (debugHandler && debugHandler.reuse) {
+          debugHandler.reuse(parser, input, i, env, reused.result)
+        }
+        return reused.result
+      }
+    }
+
+    // A result that depended on an unfinished `p.leftRec` seed is only
+    // provisional, so it mustn't be remembered.
+    const seedReadsBefore = currentCall.seedReads
+    const errorCount = currentCall.errors.length
+    const reads = currentCall.reads && newReads()
+    const result = reads
+      ? readingInto(reads, () => parser._(input, i, env, debugHandler))
+      : parser._(input, i, env, debugHandler)
+    if (currentCall.seedReads === seedReadsBefore) {
+      const errors = currentCall.errors.slice(errorCount)
+      entries.push({ env, result, errors, reads, shift: 0 })
+    }
+    return result
+  }, { kind: 'memo', children: [parser] })
+}
+
+// The entries remembered for parsing `input` at offset `i` with the parser
+// that `key` stands for.  They are kept separately for each input, as parsers
+// can parse other input during a call, as a `p.custom` parser might.
+const memoEntries = (memo, input, key, i) => {
+  let memoForInput = memo.get(input)
+  if (!memoForInput) {
+    memoForInput = new Map()
+    memo.set(input, memoForInput)
+  }
+  let entriesByIndex = memoForInput.get(key)
+  if (!entriesByIndex) {
+    entriesByIndex = new Map()
+    memoForInput.set(key, entriesByIndex)
+  }
+  let entries = entriesByIndex.get(i)
+  if (!entries) {
+    entries = []
+    entriesByIndex.set(i, entries)
+  }
+  return entries
+}
+
+// Replays the effects that computing a remembered result had on the call.
+const useMemoEntry = (entry) => {
+  currentCall.errors.push(...entry.errors)
+  if (currentCall.reads) {
+    includeReads(currentCall.reads, entry.reads, entry.shift)
+  }
+}
+
+//
+// Incremental parsing
+//
+// An incremental parse keeps its `p.memo` results, along with a record of the
+// input each of them read (see `newReads`).  When reparsing after an edit, a
+// remembered result is still valid if the input it read hasn't changed, so we
+// only need to compare where it read with where the edit was.
+//
+// Results before the edit are valid if they read nothing from the edit on.
+// Results after it are valid if they read nothing before its end, but they
+// may have moved, by as much as the edit moved the input after it.  That
+// works unless the result depends on where in the input it is, such as with
+// `p.index`.
+//
+// How much input a regex looks at can't be known from outside, so those reads
+// are recorded along with their results, and checked by running them again.
+//
+const incrementalStates = new WeakMap()
+
+// A record of the input read while computing a result.  Offsets in it are
+// those of the call that computed it; memo entries say how far it has moved
+// since.
+const newReads = () => ({
+  // The input was read from offset `from` until just before `to`.  Reads that
+  // depend on where the input ends make `to` infinite.
+  from: Infinity,
+  to: -Infinity,
+  // Whether the result depends on its position.
+  fixed: false,
+  // Whether the input was read in ways that can't be checked, such as by
+  // `p.custom` parsers, which can read it however they like.
+  opaque: false,
+  // Reads to run again when checking, and the records of remembered results
+  // that have some, with how far those have moved.
+  checks: []
+})
+
+// Runs `f`, recording the input it reads in `reads`, and then adds that to
+// the record of the result being computed around it.
+const readingInto = (reads, f) => {
+  const outer = currentCall.reads
+  currentCall.reads = reads
+  const result = f()
+  currentCall.reads = outer
+  includeReads(outer, reads, 0)
+  return result
+}
+
+const includeReads = (reads, inner, shift) => {
+  noteRead(reads, inner.from + shift, inner.to + shift)
+  if (inner.fixed) reads.fixed = true
+  if (inner.opaque) reads.opaque = true
+  if (inner.checks.length) reads.checks.push({ reads: inner, shift })
+}
+
+const noteRead = (reads, from, to) => {
+  if (from < reads.from) reads.from = from
+  if (to > reads.to) reads.to = to
+}
+
+// Marks the result being computed as depending on its position (`'fixed'`),
+// or as impossible to check (`'opaque'`).
+const markReads = (property) => {
+  if (currentCall && currentCall.reads) currentCall.reads[property] = true
+}
+
+// Wraps the behaviour of a primitive parser that reads `width` units of input
+// from its offset.
+const readsInput = (width, behaviour) => (input, i, env) => {
+  const result = behaviour(input, i, env)
+  if (currentCall && currentCall.reads) {
+    noteRead(currentCall.reads, i,
+      i + width <= input.length ? i + width : Infinity)
+  }
+  return result
+}
+
+// Wraps the behaviour of a primitive parser whose result can depend on any of
+// the input after its offset, so it is checked by running it again.
+const checkedByRunning = (behaviour) => (input, i, env) => {
+  const result = behaviour(input, i, env)
+  const reads = currentCall && currentCall.reads
+  if (reads) {
+    noteRead(reads, i, result.status ? result.index : i)
+    reads.checks.push({ behaviour, index: i, env, result })
+  }
+  return result
+}
+
+const shiftResult = (result, shift) =>
+  shift ? Object.assign({}, result, { index: result.index + shift }) : result
+
+// The values compared are those of regexes, which are strings, and of
+// `p.lcIndex`, which are plain objects.
+const sameResult = (a, b) =>
+  a.status === b.status &&
+  a.index === b.index &&
+  (a.value === b.value || JSON.stringify(a.value) === JSON.stringify(b.value))
+
+// Whether the reads in `reads` that need running again still get the same
+// results, after moving by `shift`.
+const checksPass = (reads, input, shift) => reads.checks.every((check) =>
+  check.reads
+    ? checksPass(check.reads, input, shift + check.shift)
+    : sameResult(check.behaviour(input, check.index + shift, check.env),
+      shiftResult(check.result, shift)))
+
+// Finds a result from the previous parse that is still valid for parsing
+// with the parser whose behaviour is `key` at offset `i`, and returns it as a
+// memo entry for the current call.
+const reusableEntry = (previous, key, i, env, input) => {
+  const { offset, deleted, inserted } = previous.edit
+  const entryAt = (index) => {
+    const entriesByIndex = previous.memo && previous.memo.get(key)
+    const entries = entriesByIndex && entriesByIndex.get(index)
+    const entry = entries && entries.find((entry) => entry.env === env)
+    return entry && !entry.reads.opaque ? entry : undefined
+  }
+  const reuse = (entry, shift) => ({
+    env,
+    result: shiftResult(entry.result, shift),
+    // These are from `p.recover`, which marks its results as depending on
+    // their position, so if there are any, there's no shift.
+    errors: entry.errors,
+    reads: entry.reads,
+    shift: entry.shift + shift
   })
+
+  if (i >= offset + inserted) {
+    const shift = inserted - deleted
+    const entry = entryAt(i - shift)
+    if (entry && entry.reads.from + entry.shift >= offset + deleted &&
+        (!entry.reads.fixed ||
+          (shift === 0 && checksPass(entry.reads, input, entry.shift)))) {
+      return reuse(entry, shift)
+    }
+  }
+  if (i <= offset) {
+    const entry = entryAt(i)
+    if (entry && entry.reads.to + entry.shift <= offset &&
+        checksPass(entry.reads, input, entry.shift)) {
+      return reuse(entry, 0)
+    }
+  }
+}
+
+Partser.reparse = (previousResult, offset, deleteCount, text) => {
+  const state = incrementalStates.get(previousResult)
+  if (!state) {
+    throw new TypeError('Partser.reparse: Not a result of an incremental ' +
+      `parse: ${toString(previousResult)}`)
+  }
+  assertNumber('reparse', offset)
+  assertNumber('reparse', deleteCount)
+  const { parser, input, env, index } = state
+  let newInput
+  if (typeof input === 'string') {
+    assertString('reparse', text)
+    newInput =
+      input.slice(0, offset) + text + input.slice(offset + deleteCount)
+  } else if (isBinary(input)) {
+    assertBinaryInput('reparse', text)
+    newInput = new Uint8Array(input.length - deleteCount + text.length)
+    newInput.set(input.subarray(0, offset))
+    newInput.set(text, offset)
+    newInput.set(input.subarray(offset + deleteCount), offset + text.length)
+  } else {
+    assertArray('reparse', text)
+    newInput =
+      input.slice(0, offset).concat(text, input.slice(offset + deleteCount))
+  }
+  const call = newCall(state.call.options)
+  call.previous = {
+    // The results remembered for the previous input, to reuse for the new one.
+    memo: state.call.memo.get(input),
+    input: newInput,
+    edit: { offset, deleted: deleteCount, inserted: text.length }
+  }
+  const result = parseWholeInput(parser, newInput, env, index, call)
+  // Reused results are in the new call's memo now, so it doesn't need the
+  // previous one, and mustn't keep it (and all the ones before) in memory.
+  call.previous = undefined
+  return result
+}
+
+//
+// In an asynchronous parse, the callbacks of `p.custom`, `p.from` and
+// `p.chain` can return promises.  Parsers are still synchronous functions, so
+// when a callback returns a promise, the parse is left pending:  The callback's
+// parser fails, and so does every parser called after it, to unwind the parse
+// quickly.  Once the promise settles, we parse again from the start.
+//
+// Each parser call that finished before then is remembered, so parsing again
+// only runs what was unfinished, and gets the settled value where the callback
+// was called.  To tell which callback that is, callbacks are numbered in the
+// order that they would be called if nothing was remembered:  Parsing is
+// deterministic, so that order is the same every time.  Remembered results
+// count the callbacks they called, to skip those numbers.  A call that
+// `p.memo` answers without calling anything is remembered here as calling
+// nothing too, so it's counted the same way each time.
+//
+const PENDING = {}
+
+// What parsers return while the parse is pending.
+const pendingFailure = (index) => ({ status: false, index, value: [] })
+
+// Calls `f`, a callback that may return a promise, in an asynchronous parse.
+// If the promise hasn't settled yet, returns `PENDING`.
+const settle = (f, ...args) => {
+  const async = currentCall && currentCall.async
+  if (!async) return f(...args)
+
+  const n = async.count++
+  if (async.settled.has(n)) return async.settled.get(n)
+  const value = f(...args)
+  if (value && typeof value.then === 'function') {
+    async.pending = { n, promise: value }
+    return PENDING
+  }
+  return value
+}
+
+// Calls the behaviour of `parser`, or returns what it returned before the
+// parse restarted.
+const resumingBehaviour = (parser, input, i, env, debugHandler) => {
+  const call = currentCall
+  const { async } = call
+  // As with `p.memo`, but a nested call's results may depend on its options.
+  const entries = memoEntries(async.results, input, parser.behaviour, i)
+  const cached = entries.find((entry) =>
+    entry.env === env && entry.options === call.options)
+  if (cached) {
+    call.errors.push(...cached.errors)
+    async.count += cached.settles
+    return cached.result
+  }
+
+  const countBefore = async.count
+  const seedReadsBefore = call.seedReads
+  const errorCount = call.errors.length
+  const result = parser.behaviour(input, i, env, debugHandler)
+  if (!async.pending && call.seedReads === seedReadsBefore) {
+    entries.push({
+      env,
+      options: call.options,
+      result,
+      errors: call.errors.slice(errorCount),
+      settles: async.count - countBefore
+    })
+  }
+  return result
+}
+
+Partser.parseAsync = (parser, input, env, index = 0, options = {}) => {
+  assertParser('parseAsync', parser)
+  return parseUntilSettled(parser, input, env, index, options)
+}
+
+const parseUntilSettled = async (parser, input, env, index, options) => {
+  const async = { count: 0, settled: new Map(), results: new Map() }
+  let deadline
+  for (;;) {
+    // The parse goes on after any call it was started from has ended, so it
+    // doesn't count towards that call's limits.
+    const call = newCall(options, null)
+    async.count = 0
+    async.pending = undefined
+    call.async = async
+    // The time limit is for the whole parse, not each time it starts again.
+    if (call.limits) {
+      if (deadline === undefined) deadline = call.limits.deadline
+      call.limits.deadline = deadline
+    }
+    const result = parseWholeInput(parser, input, env, index, call)
+    if (!async.pending) return result
+    const { n, promise } = async.pending
+    async.settled.set(n, await promise)
+  }
+}
+
+//
+// Streams are parsed one top-level item at a time, from a buffer holding the
+// input that has arrived but hasn't been parsed into items yet.
+//
+// Until the stream has ended, more input may arrive, so the primitive parsers
+// might get a different result if they read up to the end of the buffer.
+// Those call `readsToEnd`, which marks the item's parse as undecided.  Then we
+// wait for more input, and parse the item again from its start.
+//
+// As the buffer only holds input from the start of the current item, offsets
+// in it are relative to that.  `p.index` and `p.lcIndex` add the position of
+// the buffer's start, so users get offsets in the whole stream.
+//
+
+// Called by primitive parsers when their result depends on the input from `i`
+// onwards, if there is any.
+const readsToEnd = (input, i) => {
+  const stream = currentCall && currentCall.stream
+  if (stream && !stream.ended && i >= input.length) stream.undecided = true
+}
+
+// Where in the whole stream the input being parsed starts.
+const inputStart = () => (currentCall && currentCall.stream) ||
+  { offset: 0, line: 1, column: 1 }
+
+Partser.stream = (parser, env, options = {}) => {
+  assertParser('stream', parser)
+  const lookahead = options.lookahead !== undefined ? options.lookahead : 1024
+  assertNumber('stream', lookahead)
+  const { zeroWidthRepetition, maxSteps, timeout, signal } = options
+
+  let buffer = ''
+  let start = { offset: 0, line: 1, column: 1 }
+  let finished = false
+
+  const parseItems = (ended) => {
+    const items = []
+    const errors = []
+    while (buffer.length > 0) {
+      const call = newCall({ zeroWidthRepetition, maxSteps, timeout, signal })
+      call.stream = Object.assign({ ended, lookahead, undecided: false }, start)
+      let result
+      try {
+        result = withCall(call, () => parser._(buffer, 0, env))
+      } catch (e) {
+        result = abortedFailure(call, e)
+      }
+      if (call.stream.undecided && !result.aborted) break
+
+      for (const error of call.errors) {
+        errors.push(Object.assign({}, error,
+          { index: error.index + start.offset }))
+      }
+      if (!result.status) {
+        finished = true
+        return Object.assign({}, result,
+          { index: result.index + start.offset })
+      }
+      // An item that is empty would be followed by the same empty item
+      // forever.
+      if (result.index === 0) {
+        finished = true
+        return makeFailure(start.offset, `${parser.displayName} to consume input`)
+      }
+
+      items.push(result.value)
+      const { line, column } = lineAndColumnOfOffset(buffer, result.index)
+      start = {
+        offset: start.offset + result.index,
+        line: start.line + line - 1,
+        column: line === 1 ? start.column + column - 1 : column
+      }
+      buffer = buffer.slice(result.index)
+    }
+    if (ended) finished = true
+
+    const result = makeSuccess(start.offset, items)
+    if (errors.length) result.errors = errors
+    return result
+  }
+
+  const push = (name, chunk, ended) => {
+    if (finished) {
+      throw new Error(`Partser.stream: Can't ${name} after the stream has ` +
+        'ended or failed')
+    }
+    assertString(`stream ${name}`, chunk)
+    buffer += chunk
+    return parseItems(ended)
+  }
+
+  return {
+    write: (chunk) => push('write', chunk, false),
+    end: (chunk = '') => push('end', chunk, true)
+  }
+}
+
+//
+// Left recursion is handled by "growing the seed", as described in Warth et
+// al. 2008, "Packrat Parsers Can Support Left Recursion".
+//
+// When a left-recursive parser is called, it first calls itself at the same
+// offset.  So the first time we're called at some offset, we plant a failed
+// result (the "seed") for that offset, and parse.  Any left-recursive call
+// reaching us at that offset gets the seed back instead of recursing, so the
+// left-recursive alternatives fail and some non-recursive alternative matches.
+// That becomes the new seed, and we parse again:  This time the left-recursive
+// call gets the previous match, and can extend it.  We repeat until the match
+// stops getting longer, and return the longest one.
+//
+Partser.leftRec = (parser) => {
+  assertParser('leftRec', parser)
+
+  // Seeds are stored by this key, rather than by the returned parser, so
+  // left-recursive calls still find them if the returned parser's behaviour
+  // has been `p.replace`d onto another parser.
+  const key = {}
+
+  const grow = (input, i, env, debugHandler) => {
+    const seeds = memoEntries(currentCall.leftRec, input, key, i)
+    const existingSeed = seeds.find((seed) => seed.env === env)
+    if (existingSeed) {
+      existingSeed.reads += 1
+      currentCall.seedReads += 1
+      currentCall.errors.push(...existingSeed.errors)
+      // Growing the seed is like trying another alternative, so a `p.cut`
+      // in the seed doesn't commit the attempt to the rest.
+      return uncut(existingSeed.result)
+    }
+
+    // The initial seed fails without expecting anything, so that it doesn't
+    // add anything to the error message if nothing else matches either.
+    const seed = {
+      env,
+      result: { status: false, index: i, value: [] },
+      // Errors recorded by `p.recover` while parsing the seed's result.
+      errors: [],
+      reads: 0
+    }
+    seeds.push(seed)
+
+    // Each attempt parses from the same offset again, so we set aside the
+    // errors recorded during each attempt, and only keep the ones from the
+    // attempt whose result we keep.
+    const errorCount = currentCall.errors.length
+    let result = parser._(input, i, env, debugHandler)
+    while (result.status &&
+        (!seed.result.status || result.index > seed.result.index)) {
+      seed.result = result
+      seed.errors = currentCall.errors.splice(errorCount)
+      result = parser._(input, i, env, debugHandler)
+    }
+    currentCall.errors.splice(errorCount)
+
+    seeds.splice(seeds.indexOf(seed), 1)
+    // Our result no longer depends on our own seed, now that it's final.
+    currentCall.seedReads -= seed.reads
+
+    if (!seed.result.status || result.committed) return result
+    currentCall.errors.push(...seed.errors)
+    return seed.result
+  }
+
+  return Parser('leftRec', (input, i, env, debugHandler) => {
+    if (currentCall) return grow(input, i, env, debugHandler)
+    else return withCall(newCall(), () => grow(input, i, env, debugHandler))
+  }, { kind: 'leftRec', children: [parser] })
 }
 
 const seqMap = (...args) => {
   const mapper = args.pop()
   return Partser.map(
     Partser.seq(args),
-    (results) => mapper(...results))
+    (results, env) => mapper(...results, env))
 }
 
 Partser.mark = (parser) => {
@@ -304,35 +1281,160 @@ Partser.lcMark = (parser) => {
     (start, value, end) => ({ start, value, end }))
 }
 
+// Parses one precedence level of `p.operators`, with operands parsed by
+// `term`.  Every operator's `build` function is called with the operands and
+// the operator's own value in source order, then the environment.
+const operatorLevel = (term, operators) => {
+  const ofType = (type) => operators.filter((op) => op.type === type)
+
+  // Parses any of the given operators, remembering which one matched.
+  const anyOf = (ops) => Partser.alt(ops.map((op) =>
+    Partser.map(op.parser, (value) => ({ op, value }))))
+
+  let operand = term
+  const prefixes = ofType('prefix')
+  const postfixes = ofType('postfix')
+  if (prefixes.length || postfixes.length) {
+    const none = Partser.succeed([])
+    operand = seqMap(
+      prefixes.length ? Partser.times(anyOf(prefixes), 0, Infinity) : none,
+      term,
+      postfixes.length ? Partser.times(anyOf(postfixes), 0, Infinity) : none,
+      (before, value, after, env) => {
+        // The prefix closest to the operand applies first, and all prefixes
+        // apply before any postfix.
+        value = before.reduceRight(
+          (x, { op, value }) => op.build(value, x, env), value)
+        return after.reduce(
+          (x, { op, value }) => op.build(x, value, env), value)
+      })
+  }
+
+  // Parses infix operators of the given type, each followed by an operand.
+  const tails = []
+  const addTail = (type, max) => {
+    const ops = ofType(type)
+    if (!ops.length) return
+    tails.push(Partser.map(
+      Partser.times(Partser.seq([anyOf(ops), operand]), 1, max),
+      (pairs) => ({ type, pairs })))
+  }
+  addTail('left', Infinity)
+  addTail('right', Infinity)
+  addTail('none', 1)
+  if (!tails.length) return operand
+
+  return seqMap(
+    operand, Partser.times(Partser.alt(tails), 0, 1),
+    (first, [tail], env) => {
+      if (!tail) return first
+      if (tail.type === 'right') {
+        // Fold from the right:  Each operator's right operand is everything
+        // after it.
+        const operands = [first].concat(tail.pairs.map(([_, x]) => x))
+        return tail.pairs.reduceRight((right, [{ op, value }], j) =>
+          op.build(operands[j], value, right, env), operands.pop())
+      } else {
+        return tail.pairs.reduce((left, [{ op, value }, right]) =>
+          op.build(left, value, right, env), first)
+      }
+    })
+}
+
+const operatorTypes = ['prefix', 'postfix', 'left', 'right', 'none']
+
+Partser.operators = (atom, table) => {
+  assertParser('operators', atom)
+  assert('array', Array.isArray)('operators', table)
+  table.forEach((level) => {
+    assert('array', Array.isArray)('operators', level)
+    level.forEach((op) => {
+      if (!operatorTypes.includes(op.type)) {
+        throw new TypeError(
+          `Partser.operators: Not an operator type: ${op.type}`)
+      }
+      assertParser('operators', op.parser)
+      assertFunction('operators', op.build)
+    })
+  })
+
+  // Levels are listed from tightest-binding first, so each level's operands
+  // are made of the previous levels.
+  return table.reduce(operatorLevel, atom)
+}
+
 Partser.desc = (parser, expected) => {
   assertParser('desc', parser)
   assertString('desc', expected)
 
   return Parser(`desc(${JSON.stringify(expected)}, ${parser.name})`, (input, i, env, debugHandler) => {
-    let result = parser.behaviour(input, i, env, debugHandler)
-    if (!result.status) {
-      // Defensive programming:  Make a copy of the result object before
-      // changing it.  Simply changing it might cause subtle bugs if a user's
-      // custom parser stored the result object somewhere before returning it,
-      // and something else is reading its contents later.
-      result = Object.assign({}, result)
-      result.value = [expected]
+    const call = currentCall
+    if (call) call.rules.push(expected)
+    let result
+    try {
+      result = parser.behaviour(input, i, env, debugHandler)
+    } finally {
+      if (call) call.rules.pop()
     }
-    return result
+    return result.status ? result : describedFailure(call, result, expected)
+  }, {
+    kind: 'desc',
+    children: [parser],
+    args: { description: expected }
   })
 }
 
+// The failure of `p.desc` when the parser it describes failed.
+const describedFailure = (call, result, expected) => {
+  // Nested `p.desc` parsers fail at the same offset from the inside out, so
+  // the innermost one gets to say which rules were running.
+  if (call && result.index > call.furthestRules.index) {
+    call.furthestRules = { index: result.index, rules: [...call.rules, expected] }
+  }
+  // Defensive programming:  Make a copy of the result object before changing
+  // it.  Simply changing it might cause subtle bugs if a user's custom parser
+  // stored the result object somewhere before returning it, and something
+  // else is reading its contents later.
+  result = Object.assign({}, result)
+  result.value = [expected]
+  return result
+}
+
+Partser.context = (parser, label) => {
+  assertParser('context', parser)
+  assertString('context', label)
+
+  return Parser(`context(${JSON.stringify(label)}, ${parser.displayName})`, (input, i, env, debugHandler) => {
+    const result = parser._(input, i, env, debugHandler)
+    return result.status ? result : inContext(result, label)
+  }, { kind: 'context', children: [parser], args: { label } })
+}
+
+// Adds a `p.context` label to a failure, outside any it already has.
+const inContext = (failure, label) => Object.assign({}, failure,
+  { context: [label].concat(failure.context || []) })
+
 Partser.string = (str) => {
   assertString('string', str)
 
   const len = str.length
   const expected = `'${str}'`
 
-  return Parser(`string(${JSON.stringify(str)})`, (input, i) => {
-    const head = input.slice(i, i + len)
+  return Parser(`string(${JSON.stringify(str)})`, readsInput(len, (input, i) => {
+    assertStringInput('string', input)
 
-    if (head === str) return makeSuccess(i + len, head)
-    else return makeFailure(i, expected)
+    if (input.startsWith(str, i)) return makeSuccess(i + len, str)
+    // The rest of the string might be in input that hasn't arrived yet.
+    if (input.length - i < len && str.startsWith(input.slice(i))) {
+      readsToEnd(input, input.length)
+    }
+    return makeFailure(i, expected)
+  }), {
+    kind: 'string',
+    children: [],
+    args: { value: str },
+    expected,
+    width: len
   })
 }
 
@@ -340,91 +1442,333 @@ Partser.regex = (re, group = 0) => {
   assertRegexp('regex', re)
   assertNumber('regex', group)
 
-  const anchored = RegExp(
-    `^(?:${re.source})`,
-    `${re}`.slice(`${re}`.lastIndexOf('/') + 1))
+  const matchAt = regexMatcher(re)
   const expected = `${re}`
 
-  return Parser(`regex(${re.toString()}, ${group})`, (input, i) => {
-    const match = anchored.exec(input.slice(i))
+  return Parser(`regex(${re.toString()}, ${group})`, checkedByRunning((input, i) => {
+    assertStringInput('regex', input)
+    const match = matchAt(input, i)
 
     if (match) {
       const fullMatch = match[0]
       const groupMatch = match[group]
+      // A match up to the end might continue in input that hasn't arrived.
+      readsToEnd(input, i + fullMatch.length)
       return makeSuccess(i + fullMatch.length, groupMatch)
     }
 
+    // We can't tell how much more input a regex would need to match, so a
+    // mismatch is only certain with enough input after `i`.
+    const stream = currentCall && currentCall.stream
+    if (stream) readsToEnd(input, i + stream.lookahead - 1)
     return makeFailure(i, expected)
+  }), {
+    kind: 'regex',
+    children: [],
+    args: { regex: re, group },
+    expected,
+    nullable: matchAt('', 0) !== null
   })
 }
 
+// Regexes that can't see what comes before the offset they match at can be
+// matched in place with the sticky flag, instead of against a slice of the
+// input that starts at the offset.  Slicing would copy the rest of the input
+// on every call, which adds up on long inputs.
+//
+// Regexes see before the offset through `^` anchors, lookbehinds and word
+// boundaries, but the same characters inside a character class or after a
+// backslash mean something else.
+const canMatchInPlace = (re) => {
+  const { source } = re
+  // With the `v` flag, character classes can nest, but ending them at the
+  // first `]` only takes more of the source to be outside of them.
+  let inClass = false
+  for (let i = 0; i < source.length; ++i) {
+    const c = source[i]
+    if (c === '\\') {
+      ++i
+      if (!inClass && (source[i] === 'b' || source[i] === 'B')) return false
+    } else if (inClass) inClass = c !== ']'
+    else if (c === '[') inClass = true
+    else if (c === '^') return false
+    else if (source.startsWith('(?<=', i) || source.startsWith('(?<!', i)) {
+      return false
+    }
+  }
+  return true
+}
+
+// Returns a function that matches `re` at offset `i` of `input`, returning
+// the match or `null`.
+const regexMatcher = (re) => {
+  const flags = re.flags.replace(/[gy]/g, '')
+  if (canMatchInPlace(re)) {
+    const sticky = RegExp(re.source, flags + 'y')
+    return (input, i) => {
+      sticky.lastIndex = i
+      return sticky.exec(input)
+    }
+  }
+  const anchored = RegExp(`^(?:${re.source})`, flags)
+  return (input, i) => anchored.exec(input.slice(i))
+}
+
 Partser.succeed = (value) =>
-  Parser('succeed', (input, i) => makeSuccess(i, value))
+  Parser('succeed', (input, i) => makeSuccess(i, value),
+    { kind: 'succeed', children: [], args: { value } })
 
 Partser.fail = (expected) => {
   assertString('fail', expected)
-  return Parser('fail', (input, i) => makeFailure(i, expected))
+  return Parser('fail', (input, i) => makeFailure(i, expected),
+    { kind: 'fail', children: [], args: { value: expected } })
 }
 
-Partser.any = Parser('any', (input, i) => {
-  if (i >= input.length) return makeFailure(i, 'any character')
-  return makeSuccess(i + 1, input.charAt(i))
+Partser.any = Parser('any', readsInput(1, (input, i) => {
+  readsToEnd(input, i)
+  if (i >= input.length) return makeFailure(i, `any ${unitName(input)}`)
+  return makeSuccess(i + 1, input[i])
+}), { kind: 'any', children: [], expected: (unit) => `any ${unit}` })
+
+Partser.all = Parser('all', readsInput(Infinity, (input, i) => {
+  readsToEnd(input, input.length)
+  return makeSuccess(input.length, input.slice(i))
+}), {
+  kind: 'all',
+  children: [],
+  expected: (unit) => `any ${unit}`,
+  nullable: true
 })
 
-Partser.all = Parser('all', (input, i) =>
-  makeSuccess(input.length, input.slice(i)))
-
-Partser.eof = Parser('eof', (input, i) => {
+Partser.eof = Parser('eof', readsInput(1, (input, i) => {
+  readsToEnd(input, i)
   if (i < input.length) return makeFailure(i, 'EOF')
   return makeSuccess(i, null)
-})
+}), { kind: 'eof', children: [] })
 
 Partser.test = (predicate) => {
   assertFunction('test', predicate)
 
-  return Parser('test', (input, i, env) => {
-    const char = input.charAt(i)
+  return Parser('test', readsInput(1, (input, i, env) => {
+    readsToEnd(input, i)
+    const char = input[i]
     if (i < input.length && predicate(char, env)) {
       return makeSuccess(i + 1, char)
     } else {
-      return makeFailure(i, `a character matching ${predicate}`)
+      return makeFailure(i, `a ${unitName(input)} matching ${predicate}`)
     }
+  }), {
+    kind: 'test',
+    children: [],
+    args: { predicate },
+    expected: (unit) => `a ${unit} matching ${predicate}`
   })
 }
 
-Partser.index = Parser('index', (input, i) => makeSuccess(i, i))
+Partser.token = (type) => {
+  assertString('token', type)
+  const expected = `a token of type ${JSON.stringify(type)}`
+
+  return Parser(`token(${JSON.stringify(type)})`, readsInput(1, (input, i) => {
+    readsToEnd(input, i)
+    const token = input[i]
+    if (i < input.length && token && token.type === type) {
+      return makeSuccess(i + 1, token)
+    } else return makeFailure(i, expected)
+  }), {
+    kind: 'token',
+    children: [],
+    args: { type },
+    expected
+  })
+}
 
-const lineAndColumnOfOffset = (input, i) => {
-  const lines = input.slice(0, i).split('\n')
+Partser.take = (count) => {
+  assertNumber('take', count)
 
-  // Note:  The character offset is 0-based; lines and columns are 1-based.
-  const line = lines.length
-  const column = lines[lines.length - 1].length + 1
-  return { line, column }
+  return Parser(`take(${count})`, readsInput(count, (input, i) => {
+    if (i + count > input.length) {
+      readsToEnd(input, input.length)
+      const units = `${unitName(input)}${count === 1 ? '' : 's'}`
+      return makeFailure(i, `${count} ${units}`)
+    }
+    return makeSuccess(i + count, input.slice(i, i + count))
+  }), {
+    kind: 'take',
+    children: [],
+    args: { count },
+    expected: (unit) => `${count} ${unit}${count === 1 ? '' : 's'}`,
+    width: count
+  })
 }
 
-Partser.lcIndex = Parser('lcIndex', (input, i) => {
-  // Like the usual `index` function, but emitting an object that contains line
-  // and column indices in addition to the character-based one.  Less
-  // performant, but often convenient.
-
-  const { line, column } = lineAndColumnOfOffset(input, i)
-  return makeSuccess(i, { offset: i, line, column })
-})
+Partser.byte = (value) => {
+  assertNumber('byte', value)
+  const expected = `byte ${hexByte(value)}`
 
-//
-// Specials
-//
+  return Parser(`byte(${hexByte(value)})`, readsInput(1, (input, i) => {
+    assertBinaryInput('byte', input)
+    if (input[i] === value) return makeSuccess(i + 1, value)
+    else return makeFailure(i, expected)
+  }), { kind: 'byte', children: [], args: { value }, expected })
+}
 
-Partser.clone = (parser) => {
-  assertParser('clone', parser)
-  const newParser = Partser.custom(parser.behaviour)
-  newParser.displayName = parser.displayName
-  return newParser
+Partser.bytes = (values) => {
+  if (!isBinary(values)) assertArray('bytes', values)
+  values = Uint8Array.from(values)
+  const text = Array.from(values, hexDigits).join(' ')
+  const expected = `bytes <${text}>`
+
+  return Parser(`bytes(<${text}>)`, readsInput(values.length, (input, i) => {
+    assertBinaryInput('bytes', input)
+    if (i + values.length > input.length) return makeFailure(i, expected)
+    for (let j = 0; j < values.length; ++j) {
+      if (input[i + j] !== values[j]) return makeFailure(i, expected)
+    }
+    return makeSuccess(i + values.length, input.slice(i, i + values.length))
+  }), {
+    kind: 'bytes',
+    children: [],
+    args: { values: values.slice() },
+    expected,
+    width: values.length
+  })
 }
 
-Partser.replace = (original, replacement) => {
-  assertParser('replace', original)
+// Makes parsers for numbers in binary input, which read them with the
+// DataView method for that type and width.
+const numberParser = (name, description, widths, readerName) =>
+  (width, byteOrder) => {
+    const widthList =
+      `${widths.slice(0, -1).join(', ')} or ${widths[widths.length - 1]}`
+    assert(`width of ${widthList} bits`,
+      (x) => widths.includes(x))(name, width)
+    if (width > 8) {
+      assert('byte order ("big" or "little")',
+        (x) => x === 'big' || x === 'little')(name, byteOrder)
+    }
+
+    const size = width / 8
+    const read = readerName(width)
+    const littleEndian = byteOrder === 'little'
+    const expected = width > 8
+      ? `a ${width}-bit ${byteOrder}-endian ${description}`
+      : `an ${width}-bit ${description}`
+
+    return Parser(`${name}(${width}${width > 8 ? `,${byteOrder}` : ''})`,
+      readsInput(size, (input, i) => {
+        assertBinaryInput(name, input)
+        if (i + size > input.length) return makeFailure(i, expected)
+        const view = new DataView(input.buffer, input.byteOffset + i, size)
+        return makeSuccess(i + size, view[read](0, littleEndian))
+      }), {
+        kind: name,
+        children: [],
+        args: { width, byteOrder },
+        expected
+      })
+  }
+
+Partser.uint = numberParser('uint', 'unsigned integer', [8, 16, 32, 64],
+  (width) => width === 64 ? 'getBigUint64' : `getUint${width}`)
+Partser.int = numberParser('int', 'signed integer', [8, 16, 32, 64],
+  (width) => width === 64 ? 'getBigInt64' : `getInt${width}`)
+Partser.float = numberParser('float', 'floating point number', [32, 64],
+  (width) => `getFloat${width}`)
+
+// This doesn't read the input, but its result depends on where in the input
+// it is, so incremental parsing can't reuse it anywhere else.
+Partser.index = Parser('index', (input, i) => {
+  markReads('fixed')
+  return makeSuccess(i, i + inputStart().offset)
+}, { kind: 'index', children: [] })
+
+// The offsets at which each line of the input starts.  During a call, they
+// are kept on it for the last input looked up, so that finding the lines of
+// many offsets in the same input only reads it once, and the input isn't
+// kept after the call.
+const lineStartsOf = (input) => {
+  const call = currentCall
+  if (call && call.lineStarts && call.lineStarts.input === input) {
+    return call.lineStarts.offsets
+  }
+  const offsets = [0]
+  for (let i = input.indexOf('\n'); i !== -1; i = input.indexOf('\n', i + 1)) {
+    offsets.push(i + 1)
+  }
+  if (call) call.lineStarts = { input, offsets }
+  return offsets
+}
+
+const lineAndColumnOfOffset = (input, i) => {
+  const lineStarts = lineStartsOf(input)
+  i = Math.min(i, input.length)
+
+  // Binary search for the last line that starts at or before `i`.
+  let low = 0
+  let high = lineStarts.length - 1
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2)
+    if (lineStarts[middle] <= i) low = middle
+    else high = middle - 1
+  }
+
+  // Note:  The character offset is 0-based; lines and columns are 1-based.
+  return { line: low + 1, column: i - lineStarts[low] + 1 }
+}
+
+Partser.lcIndex = Parser('lcIndex', checkedByRunning((input, i) => {
+  // Like the usual `index` function, but emitting an object that contains line
+  // and column indices in addition to the character-based one.  Less
+  // performant, but often convenient.
+  assertStringInput('lcIndex', input)
+  // Its result also depends on the lines before it, which incremental parsing
+  // checks by running it again.
+  markReads('fixed')
+
+  const { line, column } = lineAndColumnOfOffset(input, i)
+  const start = inputStart()
+  return makeSuccess(i, {
+    offset: i + start.offset,
+    line: line + start.line - 1,
+    column: line === 1 ? column + start.column - 1 : column
+  })
+}), { kind: 'lcIndex', children: [] })
+
+// The reverse of `p.lcIndex`:  The 0-based offset of a 1-based line and column.
+Partser.lcOffset = (input, line, column) => {
+  assertString('lcOffset', input)
+  assertNumber('lcOffset', line)
+  assertNumber('lcOffset', column)
+
+  const lineStarts = lineStartsOf(input)
+  if (!Number.isInteger(line) || line < 1 || line > lineStarts.length) {
+    throw new RangeError(`Partser.lcOffset: No line ${line} in input with ` +
+      `${lineStarts.length} lines`)
+  }
+  // A line's last column is the one of its line break, or the end of input.
+  const lineEnd = line < lineStarts.length
+    ? lineStarts[line] - 1
+    : input.length
+  const offset = lineStarts[line - 1] + column - 1
+  if (!Number.isInteger(column) || column < 1 || offset > lineEnd) {
+    throw new RangeError(`Partser.lcOffset: No column ${column} on line ` +
+      `${line}, which has ${lineEnd - lineStarts[line - 1] + 1} columns`)
+  }
+  return offset
+}
+
+//
+// Specials
+//
+
+Partser.clone = (parser) => {
+  assertParser('clone', parser)
+  return Parser(parser.displayName, parser.behaviour)
+}
+
+Partser.replace = (original, replacement) => {
+  assertParser('replace', original)
   assertParser('replace', replacement)
   original.behaviour = replacement.behaviour
 }
@@ -435,9 +1779,1467 @@ Partser.chain = (parser, lookup) => {
   return Parser('chain', (input, i, env, debugHandler) => {
     const result = parser._(input, i, env)
     if (!result.status) return result
-    const nextParser = lookup(result.value, env)
+    const nextParser = settle(lookup, result.value, env)
+    if (nextParser === PENDING) return pendingFailure(result.index)
     return nextParser._(input, result.index, env, debugHandler)
+  }, {
+    kind: 'chain',
+    children: [parser],
+    args: { decider: lookup }
+  })
+}
+
+//
+// Introspection
+//
+// Parsers made by `Parser` record their shape (see `parserShapes`):  What kind
+// of parser they are, the arguments they were made with, and the parsers they
+// call.  `p.inspect` and `p.walk` show those to users.
+//
+
+const shapeOf = (parser) =>
+  parserShapes.get(parser.behaviour) || { kind: 'custom', children: [] }
+
+Partser.inspect = (parser) => {
+  assertParser('inspect', parser)
+  const { kind, args, children } = shapeOf(parser)
+  return {
+    kind,
+    name: parser.displayName,
+    args: Object.assign({}, args),
+    children: children.slice()
+  }
+}
+
+// Calls `visit` with every parser reachable from `parser`, once each, in
+// depth-first order.  If `visit` returns `false`, the parsers that one calls
+// are skipped, unless they're reachable some other way.
+Partser.walk = (parser, visit) => {
+  assertParser('walk', parser)
+  assertFunction('walk', visit)
+  const visited = new Set()
+  const walk = (parser, parents) => {
+    if (visited.has(parser)) return
+    visited.add(parser)
+    if (visit(parser, parents) === false) return
+    const path = parents.concat([parser])
+    for (const child of shapeOf(parser).children) walk(child, path)
+  }
+  walk(parser, [])
+}
+
+//
+// Diagrams
+//
+// `p.toDot` and `p.toRailroad` draw the parsers reachable from a parser, from
+// their shapes.  Some parsers are drawn separately, under a name, and referred
+// to by that name wherever they're called:  Grammar rules, parsers that the
+// user named, and parsers that can call themselves, as drawing those in place
+// would never end.
+//
+
+// Finds the parsers to draw separately, in the order they're reached, and
+// their names.
+const namedParsers = (functionName, parser, names) => {
+  const given = new Map()
+  for (const name of Object.keys(names)) {
+    assertParser(functionName, names[name])
+    given.set(names[name], name)
+  }
+  const nameOf = (parser) => {
+    if (given.has(parser)) return given.get(parser)
+    const { kind, args } = shapeOf(parser)
+    return kind === 'rule' ? args.name : diagramLabel(parser)
+  }
+
+  const named = new Set([parser])
+  const visited = new Set()
+  const onPath = new Set()
+  const visit = (parser) => {
+    if (onPath.has(parser)) named.add(parser)
+    if (visited.has(parser)) return
+    visited.add(parser)
+    onPath.add(parser)
+    if (given.has(parser) || shapeOf(parser).kind === 'rule') named.add(parser)
+    shapeOf(parser).children.forEach(visit)
+    onPath.delete(parser)
+  }
+  visit(parser)
+
+  // Parsers found to be recursive late are still listed in the order they
+  // were reached.
+  const order = Array.from(visited).filter((x) => named.has(x))
+  return { parsers: order, named, nameOf }
+}
+
+// How a parser is labelled in diagrams, when it isn't named.  Parsers that
+// call others are labelled by their kind rather than their `displayName`, as
+// that stays the same through `p.replace`.
+const diagramLabel = (parser) => {
+  const { kind, args, children } = shapeOf(parser)
+  switch (kind) {
+    case 'desc': return `desc ${JSON.stringify(args.description)}`
+    case 'context': return `context ${JSON.stringify(args.label)}`
+    case 'times': return `times(${args.min}, ${args.max})`
+    case 'from': return args.name || kind
+    default: return children.length ? kind : parser.displayName
+  }
+}
+
+Partser.toDot = (parser, options = {}) => {
+  assertParser('toDot', parser)
+  const { nameOf } = namedParsers('toDot', parser, options.names || {})
+
+  const ids = new Map()
+  const lines = []
+  Partser.walk(parser, (parser) => {
+    ids.set(parser, `n${ids.size}`)
+  })
+  for (const [node, id] of ids) {
+    const { kind, children } = shapeOf(node)
+    const label = nameOf(node)
+    let shape = 'box'
+    if (!['from', 'custom', 'chain'].includes(kind)) {
+      shape = children.length ? 'ellipse' : 'box, style=rounded'
+    }
+    lines.push(`  ${id} [label=${JSON.stringify(label)}, shape=${shape}]`)
+    children.forEach((child, i) => {
+      const edge = `  ${id} -> ${ids.get(child)}`
+      lines.push(children.length > 1 ? `${edge} [label="${i + 1}"]` : edge)
+    })
+  }
+  return `digraph grammar {\n${lines.join('\n')}\n}\n`
+}
+
+// Railroad diagrams are made of parts that each know their size, and draw
+// themselves as SVG at a given position.  A part is entered from the left and
+// left to the right on the line at `y`, and extends `up` above that line and
+// `down` below it.
+
+const railGap = 10
+const railCharWidth = 8
+
+const escapeXml = (text) => text.replace(/[&<>"]/g,
+  (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c])
+
+const railText = (x, y, text, attributes = '') =>
+  `<text x="${x}" y="${y}"${attributes}>${escapeXml(text)}</text>`
+
+const railPath = (d) => `<path d="${d}"/>`
+
+const railSkip = () => ({ width: 0, up: 0, down: 0, svg: () => '' })
+
+const railBox = (text, className) => {
+  const width = text.length * railCharWidth + 2 * railGap
+  return {
+    width,
+    up: 11,
+    down: 11,
+    svg: (x, y) => `<g class="${className}">` +
+      `<rect x="${x}" y="${y - 11}" width="${width}" height="22"` +
+      `${className === 'terminal' ? ' rx="10"' : ''}/>` +
+      railText(x + width / 2, y + 4, text, ' text-anchor="middle"') + '</g>'
+  }
+}
+
+const railSequence = (parts) => {
+  if (parts.length === 0) return railSkip()
+  if (parts.length === 1) return parts[0]
+  const width = parts.reduce((sum, part) => sum + part.width, 0) +
+    railGap * (parts.length - 1)
+  return {
+    width,
+    up: Math.max(...parts.map((part) => part.up)),
+    down: Math.max(...parts.map((part) => part.down)),
+    svg: (x, y) => parts.map((part, i) => {
+      const line = i > 0 ? railPath(`M${x - railGap} ${y}h${railGap}`) : ''
+      const drawn = line + part.svg(x, y)
+      x += part.width + railGap
+      return drawn
+    }).join('')
+  }
+}
+
+// Alternatives are drawn one below the other, the first on the line.
+const railChoice = (parts) => {
+  if (parts.length === 1) return parts[0]
+  const r = railGap
+  const inner = Math.max(...parts.map((part) => part.width))
+  const width = inner + 4 * r
+  // How far below the line each alternative is.
+  const offsets = [0]
+  let down = parts[0].down
+  for (const part of parts.slice(1)) {
+    const offset = Math.max(down + r + part.up, offsets[offsets.length - 1] + 2 * r)
+    offsets.push(offset)
+    down = offset + part.down
+  }
+  return {
+    width,
+    up: parts[0].up,
+    down,
+    svg: (x, y) => parts.map((part, i) => {
+      const dy = offsets[i]
+      const rest = inner - part.width
+      const d = i === 0
+        ? `M${x} ${y}h${2 * r}m${part.width} 0h${rest + 2 * r}`
+        : `M${x} ${y}a${r} ${r} 0 0 1 ${r} ${r}v${dy - 2 * r}` +
+          `a${r} ${r} 0 0 0 ${r} ${r}m${part.width} 0h${rest}` +
+          `a${r} ${r} 0 0 0 ${r} ${-r}v${2 * r - dy}a${r} ${r} 0 0 1 ${r} ${-r}`
+      return railPath(d) + part.svg(x + 2 * r, y + dy)
+    }).join('')
+  }
+}
+
+const railOptional = (part) => railChoice([railSkip(), part])
+
+// Draws `part` with a way back from its end to its start, below it.
+const railLoop = (part, label = '') => {
+  const r = railGap
+  const width = Math.max(part.width, label.length * railCharWidth) + 4 * r
+  const dy = Math.max(part.down + r, 2 * r)
+  return {
+    width,
+    up: part.up,
+    down: dy + (label ? 16 : 0),
+    svg: (x, y) => railPath(`M${x} ${y}h${2 * r}m${part.width} 0` +
+      `h${width - part.width - 2 * r}`) +
+      railPath(`M${x + 2 * r + part.width} ${y}a${r} ${r} 0 0 1 ${r} ${r}` +
+        `v${dy - 2 * r}a${r} ${r} 0 0 1 ${-r} ${r}h${-part.width}` +
+        `a${r} ${r} 0 0 1 ${-r} ${-r}v${2 * r - dy}a${r} ${r} 0 0 1 ${r} ${-r}`) +
+      part.svg(x + 2 * r, y) +
+      (label
+        ? railText(x + width / 2, y + dy + 14, label, ' text-anchor="middle"')
+        : '')
+  }
+}
+
+// Draws a dashed box around `part`, with a label at its top.
+const railGroup = (part, label) => {
+  const r = railGap
+  const width = Math.max(part.width, label.length * railCharWidth) + 2 * r
+  const up = part.up + r + 14
+  const down = part.down + r
+  return {
+    width,
+    up,
+    down,
+    svg: (x, y) => '<g class="group">' +
+      `<rect x="${x}" y="${y - up}" width="${width}" height="${up + down}"/>` +
+      railText(x + 4, y - up + 13, label) + '</g>' +
+      railPath(`M${x} ${y}h${r}m${part.width} 0h${width - part.width - r}`) +
+      part.svg(x + r, y)
+  }
+}
+
+// Draws `part` on the line, and `other` below it, unconnected.
+const railAside = (part, other, label) => {
+  const below = part.down + railGap + 14
+  return {
+    width: Math.max(part.width, other.width),
+    up: part.up,
+    down: below + other.up + other.down,
+    svg: (x, y) => part.svg(x, y) +
+      railPath(`M${x + part.width} ${y}h${Math.max(0, other.width - part.width)}`) +
+      railText(x, y + below - 4, label) +
+      other.svg(x, y + below + other.up)
+  }
+}
+
+const railRepeat = (part, min, max) => {
+  if (max === 0) return railSkip()
+  if (max === 1) return min === 0 ? railOptional(part) : part
+  if (max === Infinity && min <= 1) {
+    return min === 0 ? railOptional(railLoop(part)) : railLoop(part)
+  }
+  let label = `${min} to ${max} times`
+  if (min === max) label = `${min} times`
+  else if (max === Infinity) label = `at least ${min} times`
+  else if (min === 0) label = `at most ${max} times`
+  return railLoop(part, label)
+}
+
+// Draws the whole of a railroad diagram, with a mark where it starts and ends.
+const railDiagram = (part) => {
+  const r = railGap
+  return {
+    width: part.width + 4 * r,
+    up: Math.max(part.up, r),
+    down: Math.max(part.down, r),
+    svg: (x, y) => railPath(`M${x} ${y - r}v${2 * r}m0 ${-r}h${2 * r}`) +
+      part.svg(x + 2 * r, y) +
+      railPath(`M${x + 2 * r + part.width} ${y}h${2 * r}m0 ${-r}v${2 * r}`)
+  }
+}
+
+Partser.toRailroad = (parser, options = {}) => {
+  assertParser('toRailroad', parser)
+  const { parsers, named, nameOf } =
+    namedParsers('toRailroad', parser, options.names || {})
+
+  const partOf = (parser) => named.has(parser)
+    ? railBox(nameOf(parser), 'nonterminal')
+    : bodyOf(parser)
+  const bodyOf = (parser) => {
+    const { kind, args, children } = shapeOf(parser)
+    const parts = () => children.map(partOf)
+    switch (kind) {
+      case 'seq': return railSequence(parts())
+      case 'alt': return railChoice(parts())
+      case 'times': return railRepeat(partOf(children[0]), args.min, args.max)
+      case 'except': {
+        const [allowed, forbidden] = parts()
+        return railGroup(railAside(allowed, forbidden, 'but not'), 'except')
+      }
+      case 'lookahead': return railGroup(partOf(children[0]), 'lookahead')
+      case 'notFollowedBy':
+        return railGroup(partOf(children[0]), 'not followed by')
+      case 'desc': return railGroup(partOf(children[0]), args.description)
+      case 'context': return railGroup(partOf(children[0]), args.label)
+      case 'chain':
+        return railSequence([partOf(children[0]), railBox('chain', 'opaque')])
+      case 'from': return railBox(args.name || 'from', 'opaque')
+      case 'custom': return railBox(parser.displayName, 'opaque')
+      case 'string': return railBox(args.value, 'terminal')
+      case 'regex': return railBox(`${args.regex}`, 'terminal')
+      case 'succeed':
+      case 'index':
+      case 'lcIndex':
+        return railSkip()
+      default:
+        // The rest either read input, or match what the parser they call
+        // matches.
+        return children.length
+          ? partOf(children[0])
+          : railBox(parser.displayName, 'terminal')
+    }
+  }
+
+  const margin = 20
+  let height = margin
+  let width = 0
+  const drawn = parsers.map((parser) => {
+    const diagram = railDiagram(bodyOf(parser))
+    const title = railText(margin, height + 14, nameOf(parser),
+      ' class="title"')
+    const y = height + 24 + diagram.up
+    height = y + diagram.down + margin
+    width = Math.max(width, diagram.width, nameOf(parser).length * railCharWidth)
+    return title + diagram.svg(margin, y)
   })
+  width += 2 * margin
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" ` +
+    `height="${height}" viewBox="0 0 ${width} ${height}">\n` +
+    '<style>\n' +
+    '  path { fill: none; stroke: #333; stroke-width: 2 }\n' +
+    '  rect { fill: #fff; stroke: #333; stroke-width: 2 }\n' +
+    '  .terminal rect { fill: #e8f4e8 }\n' +
+    '  .nonterminal rect { fill: #e8ecf8 }\n' +
+    '  .opaque rect { fill: #eee; stroke-dasharray: 6 3 }\n' +
+    '  .group rect { fill: none; stroke-width: 1; stroke-dasharray: 4 2 }\n' +
+    '  text { font: 13px monospace; fill: #000 }\n' +
+    '  .title { font-weight: bold }\n' +
+    '</style>\n' +
+    `${drawn.join('\n')}\n</svg>\n`
+}
+
+//
+// Analysis
+//
+// `p.analyse` works out, without running a parser, what input it could start
+// by consuming, and whether it can match without consuming any.
+//
+
+// Parsers that we can't see into are assumed to not match empty input, as
+// it's the guess that stops analysing where we can't see anymore.
+const opaqueAnalysis = { nullable: false, first: [], opaque: true }
+
+const firstOfAll = (analyses) =>
+  Array.from(new Set([].concat(...analyses.map((x) => x.first))))
+
+// Analyses one parser, given the analyses of the parsers it calls.
+const analyseShape = (shape, unit, analysisOf) => {
+  const children = shape.children.map(analysisOf)
+  switch (shape.kind) {
+    case 'from':
+    case 'custom':
+      return opaqueAnalysis
+    case 'succeed':
+    case 'eof':
+    case 'index':
+    case 'lcIndex':
+    case 'lookahead':
+    case 'notFollowedBy':
+      return { nullable: true, first: [], opaque: false }
+    case 'fail':
+      return { nullable: false, first: [], opaque: false }
+    case 'seq': {
+      // Parts can start the sequence up to the first that can't match empty.
+      const end = children.findIndex((x) => !x.nullable)
+      const starts = end === -1 ? children : children.slice(0, end + 1)
+      return {
+        nullable: end === -1,
+        first: firstOfAll(starts),
+        opaque: starts.some((x) => x.opaque)
+      }
+    }
+    case 'alt':
+      return {
+        nullable: children.some((x) => x.nullable),
+        first: firstOfAll(children),
+        opaque: children.some((x) => x.opaque)
+      }
+    case 'times': {
+      const [child] = children
+      const { min, max } = shape.args
+      if (max === 0) return { nullable: true, first: [], opaque: false }
+      return Object.assign({}, child, { nullable: min === 0 || child.nullable })
+    }
+    case 'desc': {
+      const [child] = children
+      const { description } = shape.args
+      const first = child.first.length || child.opaque ? [description] : []
+      return Object.assign({}, child, { first })
+    }
+    case 'chain': {
+      // What follows depends on the value, so we can't see past it.
+      const [child] = children
+      return {
+        nullable: false,
+        first: child.first,
+        opaque: child.opaque || child.nullable
+      }
+    }
+    case 'except':
+    case 'recover':
+    case 'subEnv':
+    case 'map':
+    case 'memo':
+    case 'leftRec':
+    case 'cut':
+    case 'context':
+    case 'debug':
+    case 'rule':
+    case 'compiled':
+      return children[0]
+    default: {
+      // The rest read input directly.
+      const expected = typeof shape.expected === 'function'
+        ? shape.expected(unit)
+        : shape.expected
+      return {
+        nullable: Boolean(shape.nullable) || shape.width === 0,
+        first: shape.width === 0 ? [] : [expected],
+        opaque: false
+      }
+    }
+  }
+}
+
+// Analyses every parser reachable from `parser`.  Returns their shapes by
+// behaviour, and a function to get the analysis of any of them.
+const analyseAll = (parser, unit) => {
+  // Find every parser reachable from this one.
+  const shapes = new Map()
+  const pending = [parser]
+  while (pending.length) {
+    const next = pending.pop()
+    if (shapes.has(next.behaviour)) continue
+    const shape = shapeOf(next)
+    shapes.set(next.behaviour, shape)
+    pending.push(...shape.children)
+  }
+
+  // Parsers can call each other recursively, so start by assuming that each
+  // matches nothing, then re-analyse them all until nothing changes.  The
+  // analyses only ever grow, so this ends.
+  const analyses = new Map()
+  for (const key of shapes.keys()) {
+    analyses.set(key, { nullable: false, first: [], opaque: false })
+  }
+  const analysisOf = (x) => analyses.get(x.behaviour)
+  let changed = true
+  while (changed) {
+    changed = false
+    for (const [key, shape] of shapes) {
+      const before = analyses.get(key)
+      const after = analyseShape(shape, unit, analysisOf)
+      if (after.nullable !== before.nullable ||
+          after.opaque !== before.opaque ||
+          after.first.length !== before.first.length) {
+        analyses.set(key, after)
+        changed = true
+      }
+    }
+  }
+
+  return { shapes, analysisOf }
+}
+
+const analyse = (parser, unit = 'character') => {
+  const { nullable, first, opaque } = analyseAll(parser, unit).analysisOf(parser)
+  return { nullable, first: first.slice(), opaque }
+}
+
+Partser.analyse = (parser) => {
+  assertParser('analyse', parser)
+  return analyse(parser)
+}
+
+// Kinds of parsers that match exactly what the parser they call matches.
+const wrapperKinds = [
+  'map', 'desc', 'context', 'memo', 'cut', 'subEnv', 'debug', 'rule', 'compiled'
+]
+
+// Follows wrappers to the shape of the parser that decides what they match.
+const unwrap = (parser) => {
+  const seen = new Set()
+  let shape = shapeOf(parser)
+  while (wrapperKinds.includes(shape.kind) && !seen.has(shape)) {
+    seen.add(shape)
+    shape = shapeOf(shape.children[0])
+  }
+  return shape
+}
+
+// The text that a parser must start with, if it's easy to tell.
+const literalPrefix = (parser) => {
+  const seen = new Set()
+  let shape = unwrap(parser)
+  while (shape.kind === 'seq' && shape.children.length && !seen.has(shape)) {
+    seen.add(shape)
+    shape = unwrap(shape.children[0])
+  }
+  return shape.kind === 'string' ? shape.args.value : undefined
+}
+
+// Whether `earlier` matches wherever `later` could, so `p.alt` never gets as
+// far as trying `later`.
+const shadows = (earlier, later) => {
+  const shape = unwrap(earlier)
+  if (shape.kind === 'succeed') return true
+  if (shape.kind === 'times') return shape.args.min === 0
+  if (shape.kind !== 'string') return false
+  const prefix = literalPrefix(later)
+  return prefix !== undefined && prefix.startsWith(shape.args.value)
+}
+
+// The parsers that a parser can call at the same input position it was
+// called at.  A cycle of these recurses forever.
+const leftChildren = (shape, analysisOf) => {
+  switch (shape.kind) {
+    case 'seq': {
+      const end = shape.children.findIndex((x) => !analysisOf(x).nullable)
+      return end === -1 ? shape.children : shape.children.slice(0, end + 1)
+    }
+    case 'times': return shape.args.max === 0 ? [] : shape.children
+    case 'recover': return shape.children.slice(0, 1)
+    default: return shape.children
+  }
+}
+
+Partser.lint = (parser) => {
+  assertParser('lint', parser)
+  const { shapes, analysisOf } = analyseAll(parser, 'character')
+  const findings = []
+  const report = (type, path, message) =>
+    findings.push({ type, path, message })
+
+  const visited = new Set()
+  const visit = (parser, path) => {
+    if (visited.has(parser.behaviour)) return
+    visited.add(parser.behaviour)
+    path = path.concat(parser.displayName)
+
+    const shape = shapes.get(parser.behaviour)
+    if (shape.kind === 'from' || shape.kind === 'custom') {
+      report('opaque', path,
+        `${parser.displayName} can't be inspected without running it`)
+    }
+    if (shape.kind === 'times' && shape.args.max === Infinity &&
+        analysisOf(shape.children[0]).nullable) {
+      report('zeroWidthRepetition', path,
+        `${parser.displayName} repeats a parser that can match empty input, ` +
+        'so it can repeat forever')
+    }
+    if (shape.kind === 'alt') {
+      shape.children.forEach((later, j) => {
+        const earlier = shape.children.slice(0, j).find((x) => shadows(x, later))
+        if (earlier) {
+          report('shadowedAlternative', path.concat(later.displayName),
+            `${later.displayName} can never match, because ` +
+            `${earlier.displayName} before it matches first`)
+        }
+      })
+    }
+    shape.children.forEach((x) => visit(x, path))
+  }
+  visit(parser, [])
+
+  const stack = []
+  const finished = new Set()
+  const visitLeft = (parser) => {
+    const start = stack.findIndex((x) => x.behaviour === parser.behaviour)
+    if (start !== -1) {
+      // Cycles through a `p.leftRec` are what it's for.
+      const cycle = stack.slice(start)
+      if (!cycle.some((x) => shapes.get(x.behaviour).kind === 'leftRec')) {
+        report('leftRecursion',
+          stack.concat(parser).map((x) => x.displayName),
+          `${parser.displayName} can call itself without consuming input, ` +
+          'so it recurses forever')
+      }
+      return
+    }
+    if (finished.has(parser.behaviour)) return
+    stack.push(parser)
+    const shape = shapes.get(parser.behaviour)
+    leftChildren(shape, analysisOf).forEach(visitLeft)
+    stack.pop()
+    finished.add(parser.behaviour)
+  }
+  visitLeft(parser)
+
+  return findings
+}
+
+//
+// All parses
+//
+// `p.parseAll` interprets parsers by their shapes (see `p.analyse`), to find
+// every way that each parser can match from each position, rather than only
+// the first.  It records where each parser's matches from a position end, and
+// the value for each.  If a parser can match the same input in more than one
+// way, the value is an ambiguity holding the value of each.
+//
+// Results are remembered for each parser and position, so parses that share
+// parts also share their values, and an ambiguity is only made once no matter
+// how many parses contain it.  Likewise, the parses of the first parts of a
+// sequence (or the first repetitions) that end at the same position are
+// continued as one, whose values start with an ambiguity of theirs, marked to
+// be spread into the Array it starts.  The result is a "shared packed parse
+// forest", which stays small even if the number of parses is exponential.
+//
+// A parser that calls itself recursively at the same position gets the
+// results found so far, and its results are computed again until they stop
+// growing, like `p.leftRec` does.  Results that depended on unfinished ones
+// aren't remembered.  As a parser that calls itself without consuming input
+// could match in infinitely many ways, a parser's results are only computed
+// again as many times as there is input left.
+//
+// If nothing matches the whole input, we report the furthest failure of any
+// primitive parser, as a normal parse would.  The normal parse can't be used
+// for that, as it might not finish if the grammar is left-recursive.
+//
+
+// This WeakSet holds every ambiguity, so users can tell them from values.
+const ambiguities = new WeakSet()
+const ambiguity = (values) => {
+  const node = { ambiguous: values }
+  ambiguities.add(node)
+  return node
+}
+Partser.isAmbiguous = (value) => ambiguities.has(value)
+
+// The values that a possibly ambiguous value could be, at its top level.
+const alternativesOf = (value) =>
+  ambiguities.has(value) ? value.ambiguous : [value]
+
+// Ambiguities of the start of an Array, by how many Arrays they stand for.
+const spreads = new WeakMap()
+const startsWithSpread = (value) =>
+  Array.isArray(value) && spreads.has(value[0])
+// How many Arrays a value stands for, at its top level.
+const countOf = (value) => alternativesOf(value).reduce((sum, x) =>
+  sum + (startsWithSpread(x) ? spreads.get(x[0]) : 1), 0)
+const spread = (starts) => {
+  const node = ambiguity(starts)
+  node.spread = true
+  spreads.set(node, starts.reduce((sum, x) => sum + countOf(x), 0))
+  return node
+}
+// The values that a possibly ambiguous value could be, at its top level, with
+// any ambiguities of the start of an Array spread out.
+const spreadAlternativesOf = (value) => alternativesOf(value).flatMap((x) => {
+  if (!startsWithSpread(x)) return [x]
+  return x[0].ambiguous.flatMap((start) =>
+    spreadAlternativesOf(start.concat(x.slice(1))))
+})
+
+// Collects each way that a parser matched, by where the match ended.
+const addMatch = (matches, end, value) => {
+  if (!matches.has(end)) matches.set(end, [])
+  matches.get(end).push(value)
+}
+// Matches that are exactly those of another parser.
+const sameMatches = (ends) =>
+  new Map(Array.from(ends, ([end, value]) => [end, [value]]))
+const firstValue = (ends) =>
+  spreadAlternativesOf(ends.values().next().value)[0]
+const countMatches = (ends) => Array.from(ends.values())
+  .reduce((sum, value) => sum + countOf(value), 0)
+const packMatches = (matches) => {
+  const packed = new Map()
+  for (const [end, values] of matches) {
+    packed.set(end, values.length === 1 ? values[0] : ambiguity(values))
+  }
+  return packed
+}
+
+const allParses = (input) => {
+  const memo = new Map()
+  let unfinishedReads = 0
+  let failure
+
+  // Returns a Map from each end position of the matches of `parser` at `i`,
+  // to its value.
+  const parse = (parser, i, env) => {
+    const entries = memoEntries(memo, input, parser.behaviour, i)
+    const found = entries.find((entry) => entry.env === env)
+    if (found) {
+      if (found.unfinished) {
+        found.reads += 1
+        unfinishedReads += 1
+      }
+      return found.ends
+    }
+
+    const entry = { env, ends: new Map(), unfinished: true, reads: 0 }
+    entries.push(entry)
+    const readsBefore = unfinishedReads
+    for (let rounds = i; rounds <= input.length; ++rounds) {
+      unfinishedReads -= entry.reads
+      entry.reads = 0
+      const ends = packMatches(matchesOf(parser, i, env))
+      const grew = ends.size > entry.ends.size ||
+        countMatches(ends) > countMatches(entry.ends)
+      entry.ends = ends
+      if (!entry.reads || !grew) break
+    }
+    unfinishedReads -= entry.reads
+    entry.unfinished = false
+    if (unfinishedReads > readsBefore) entries.splice(entries.indexOf(entry), 1)
+    return entry.ends
+  }
+
+  // Runs a parser normally, for those that can only match one way.
+  const once = (parser, i, env) => {
+    const matches = new Map()
+    const result = parser.behaviour(input, i, env)
+    if (result.status) addMatch(matches, result.index, result.value)
+    else failure = mergeOver(result, failure)
+    return matches
+  }
+
+  // Extends each of `starts` (parses so far, as `{ end, env, values }`) by a
+  // match of `parser`.
+  // Parses that end at the same position, with the same environment, are
+  // continued as one.
+  const mergeParses = (parses) => {
+    const groups = []
+    for (const parse of parses) {
+      const group = groups.find((x) =>
+        x[0].end === parse.end && x[0].env === parse.env)
+      if (group) group.push(parse)
+      else groups.push([parse])
+    }
+    return groups.map((group) => {
+      if (group.length === 1) return group[0]
+      const { end, env } = group[0]
+      return { end, env, values: [spread(group.map((x) => x.values))] }
+    })
+  }
+
+  const extend = (starts, parser, chainEnv) => {
+    const next = []
+    for (const { end, env, values } of mergeParses(starts)) {
+      for (const [nextEnd, value] of parse(parser, end, env)) {
+        next.push({
+          start: end,
+          end: nextEnd,
+          env: chainEnv ? chainEnv(value, env) : env,
+          values: values.concat([value])
+        })
+      }
+    }
+    return next
+  }
+
+  const matchesOf = (parser, i, env) => {
+    const shape = shapeOf(parser)
+    const { args } = shape
+    const [child] = shape.children
+    const matches = new Map()
+    switch (shape.kind) {
+      case 'seq': {
+        let parses = [{ end: i, env, values: [] }]
+        for (const part of shape.children) {
+          parses = extend(parses, part, args.chainEnv)
+        }
+        for (const { end, values } of parses) addMatch(matches, end, values)
+        return matches
+      }
+      case 'alt':
+        for (const alternative of shape.children) {
+          for (const [end, value] of parse(alternative, i, env)) {
+            alternativesOf(value).forEach((x) => addMatch(matches, end, x))
+          }
+        }
+        return matches
+      case 'times': {
+        let parses = [{ end: i, env, values: [] }]
+        for (let times = 0; parses.length; ++times) {
+          if (times >= args.min) {
+            for (const { end, values } of parses) addMatch(matches, end, values)
+          }
+          if (times >= args.max) break
+          // Repetitions that don't advance would go on forever, and only add
+          // the same matches again.
+          parses = extend(parses, child, args.chainEnv)
+            .filter((x) => times < args.min || x.end > x.start)
+        }
+        return matches
+      }
+      case 'map':
+        for (const [end, value] of parse(child, i, env)) {
+          for (const alternative of spreadAlternativesOf(value)) {
+            addMatch(matches, end, args.transformer(alternative, env))
+          }
+        }
+        return matches
+      case 'chain':
+        for (const [end, value] of parse(child, i, env)) {
+          for (const alternative of spreadAlternativesOf(value)) {
+            const next = args.decider(alternative, env)
+            for (const [nextEnd, nextValue] of parse(next, end, env)) {
+              addMatch(matches, nextEnd, nextValue)
+            }
+          }
+        }
+        return matches
+      case 'from':
+        return sameMatches(parse(
+          assertFound(args.decideParser, args.decideParser(env)), i, env))
+      case 'subEnv':
+        return sameMatches(parse(child, i, args.derive(env)))
+      case 'except': {
+        const forbidden = parse(shape.children[1], i, env)
+        if (!forbidden.size) return sameMatches(parse(child, i, env))
+        const value = firstValue(forbidden)
+        failure = mergeOver(forbiddenFailure(child, input, i, value), failure)
+        return matches
+      }
+      case 'lookahead':
+        for (const value of parse(child, i, env).values()) {
+          addMatch(matches, i, value)
+        }
+        return matches
+      case 'notFollowedBy': {
+        const found = parse(child, i, env)
+        if (!found.size) addMatch(matches, i, null)
+        else {
+          const value = firstValue(found)
+          failure = mergeOver(makeFailure(i,
+            `something that is not '${tokenText(value)}'`), failure)
+        }
+        return matches
+      }
+      case 'recover': {
+        // If no parse matches, recover the usual way.
+        const ends = parse(child, i, env)
+        return ends.size ? sameMatches(ends) : once(parser, i, env)
+      }
+      case 'desc': {
+        const outerFailure = failure
+        failure = undefined
+        const ends = parse(child, i, env)
+        if (failure) {
+          failure = mergeOver(makeFailure(failure.index, args.description),
+            outerFailure)
+        } else failure = outerFailure
+        return sameMatches(ends)
+      }
+      case 'context': {
+        const outerFailure = failure
+        failure = undefined
+        const ends = parse(child, i, env)
+        failure = failure
+          ? mergeOver(inContext(failure, args.label), outerFailure)
+          : outerFailure
+        return sameMatches(ends)
+      }
+      case 'memo':
+      case 'leftRec':
+      case 'cut':
+      case 'debug':
+      case 'rule':
+      case 'compiled':
+        return sameMatches(parse(child, i, env))
+      default:
+        return once(parser, i, env)
+    }
+  }
+
+  return { parse, failure: () => failure }
+}
+
+Partser.parseAll = (parser, input, env) => {
+  assertParser('parseAll', parser)
+  const call = newCall()
+  const { parse, failure } = allParses(input)
+  const ends = withCall(call, () => parse(parser, 0, env))
+
+  if (!ends.has(input.length)) {
+    // Parses that stopped short expected the input to end there.
+    const furthest = Math.max(-1, ...ends.keys())
+    if (furthest === -1) return failure()
+    return mergeOver(makeFailure(furthest, 'EOF'), failure())
+  }
+  const result = makeSuccess(input.length, ends.get(input.length))
+  if (call.errors.length) result.errors = call.errors
+  return result
+}
+
+// Makes every combination of the alternatives in a value, one at a time.
+Partser.interpretations = function * (value) {
+  if (ambiguities.has(value)) {
+    for (const alternative of value.ambiguous) {
+      yield * Partser.interpretations(alternative)
+    }
+  } else if (startsWithSpread(value)) {
+    for (const start of value[0].ambiguous) {
+      yield * Partser.interpretations(start.concat(value.slice(1)))
+    }
+  } else if (Array.isArray(value)) {
+    yield * combinations(value, (parts) => parts)
+  } else if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    const keys = Object.keys(value)
+    yield * combinations(keys.map((key) => value[key]), (parts) =>
+      Object.fromEntries(keys.map((key, i) => [key, parts[i]])))
+  } else yield value
+}
+const combinations = function * (values, build, done = []) {
+  if (done.length === values.length) {
+    yield build(done)
+    return
+  }
+  for (const x of Partser.interpretations(values[done.length])) {
+    yield * combinations(values, build, done.concat([x]))
+  }
+}
+
+//
+// Compiling
+//
+// `p.compile` generates JavaScript source code specialised for a parser and
+// the parsers it calls, from their shapes.  Each parser's logic is written out
+// in place in the code of the parser that calls it, so parsing doesn't go
+// through a function call and the checks in `_` for each of them.  Parsers
+// called from more than one place, including recursive ones, get a function
+// of their own instead.
+//
+// The generated code does what the parsers it replaces would, including
+// counting steps for the `maxSteps` option.  Parsers of kinds it doesn't know
+// are called as usual.  In situations the generated code isn't made for, such
+// as parsing a stream, the parser is interpreted as usual instead.
+//
+
+const compiledKinds = [
+  'seq', 'alt', 'times', 'map', 'desc', 'context', 'rule',
+  'string', 'regex', 'succeed', 'fail', 'eof', 'any'
+]
+const compiles = (parser) => {
+  const { kind, args } = shapeOf(parser)
+  return compiledKinds.includes(kind) && !(args && args.chainEnv)
+}
+
+const compileParser = (root) => {
+  // Values used by the generated code, such as the parsers it falls back to,
+  // are passed to it in this array.
+  const constants = []
+  const constant = (value) => {
+    if (!constants.includes(value)) constants.push(value)
+    return `c[${constants.indexOf(value)}]`
+  }
+
+  // Parsers reachable from more than one place get a function of their own.
+  const callers = new Map()
+  const count = (parser) => {
+    callers.set(parser, (callers.get(parser) || 0) + 1)
+    if (callers.get(parser) === 1 && compiles(parser)) {
+      shapeOf(parser).children.forEach(count)
+    }
+  }
+  count(root)
+  // Errors recorded by `p.recover` must be forgotten when a parser that
+  // contains it fails, but only parsers we fall back to can record any.
+  const fallsBack = Array.from(callers.keys()).some((x) => !compiles(x))
+
+  let nameCount = 0
+  const fresh = (prefix) => `${prefix}${nameCount++}`
+  const functions = new Map()
+  const functionSources = []
+  const functionOf = (parser) => {
+    if (!functions.has(parser)) {
+      const name = fresh('f')
+      functions.set(parser, name)
+      functionSources.push(`function ${name} (input, i, env) {\n` +
+        '  const call = getCall()\n' +
+        '  const limits = call && call.limits\n' +
+        '  let result\n' +
+        `${inlineCode(parser, 'i', 'result')}` +
+        '  return result\n' +
+        '}\n')
+    }
+    return functions.get(parser)
+  }
+
+  // Code that sets `out` to the result of `parser` at offset `i`, as if the
+  // parser was called through its `_` function.
+  const parseCode = (parser, i, out) => {
+    const step = `if (limits) checkLimits(limits, ${i})\n`
+    if (!compiles(parser)) return `${out} = ${constant(parser)}._(input, ${i}, env)\n`
+    const code = step + behaviourCode(parser, i, out)
+    if (!fallsBack || !shapeOf(parser).children.length) return code
+    const errorCount = fresh('errorCount')
+    return `const ${errorCount} = call ? call.errors.length : 0\n` + code +
+      `if (!${out}.status && call) call.errors.length = ${errorCount}\n`
+  }
+  // The same, but as if the parser's `behaviour` was called directly.
+  const behaviourCode = (parser, i, out) => {
+    if (!compiles(parser)) {
+      return `${out} = ${constant(parser)}.behaviour(input, ${i}, env)\n`
+    }
+    if (parser === root || callers.get(parser) > 1) {
+      return `${out} = ${functionOf(parser)}(input, ${i}, env)\n`
+    }
+    return inlineCode(parser, i, out)
+  }
+
+  // Code that sets `out` to the result of `parser` at offset `i`.
+  const inlineCode = (parser, i, out) => {
+    const { kind, args, children } = shapeOf(parser)
+    const [child] = children
+    const string = JSON.stringify
+    switch (kind) {
+      case 'string': {
+        const { value } = args
+        return `${out} = input.startsWith(${string(value)}, ${i})\n` +
+          `  ? makeSuccess(${i} + ${value.length}, ${string(value)})\n` +
+          `  : makeFailure(${i}, ${string(`'${value}'`)})\n`
+      }
+      case 'regex': {
+        const { regex, group } = args
+        const flags = regex.flags.replace(/[gy]/g, '')
+        const match = fresh('match')
+        let find
+        if (canMatchInPlace(regex)) {
+          const sticky = constant(RegExp(regex.source, flags + 'y'))
+          find = `${sticky}.lastIndex = ${i}\n` +
+            `const ${match} = ${sticky}.exec(input)\n`
+        } else {
+          const anchored = constant(RegExp(`^(?:${regex.source})`, flags))
+          find = `const ${match} = ${anchored}.exec(input.slice(${i}))\n`
+        }
+        return `{\n${find}` +
+          `${out} = ${match}\n` +
+          `  ? makeSuccess(${i} + ${match}[0].length, ${match}[${group}])\n` +
+          `  : makeFailure(${i}, ${string(`${regex}`)})\n}\n`
+      }
+      case 'succeed':
+        return `${out} = makeSuccess(${i}, ${constant(args.value)})\n`
+      case 'fail':
+        return `${out} = makeFailure(${i}, ${string(args.value)})\n`
+      case 'eof':
+        return `${out} = ${i} < input.length\n` +
+          `  ? makeFailure(${i}, 'EOF')\n  : makeSuccess(${i}, null)\n`
+      case 'any':
+        return `${out} = ${i} < input.length\n` +
+          `  ? makeSuccess(${i} + 1, input[${i}])\n` +
+          `  : makeFailure(${i}, 'any character')\n`
+      case 'rule':
+        return parseCode(child, i, out)
+      case 'map': {
+        const cut = fresh('cut')
+        return parseCode(child, i, out) +
+          `if (${out}.status) {\n` +
+          `  const ${cut} = ${out}.cut\n` +
+          `  ${out} = makeSuccess(${out}.index, ` +
+          `${constant(args.transformer)}(${out}.value, env))\n` +
+          `  if (${cut}) ${out}.cut = true\n}\n`
+      }
+      case 'desc': {
+        const description = string(args.description)
+        return `if (call) call.rules.push(${description})\n` +
+          `try {\n${behaviourCode(child, i, out)}} finally {\n` +
+          '  if (call) call.rules.pop()\n}\n' +
+          `if (!${out}.status) {\n` +
+          `  ${out} = describedFailure(call, ${out}, ${description})\n}\n`
+      }
+      case 'context':
+        return parseCode(child, i, out) +
+          `if (!${out}.status) {\n` +
+          `  ${out} = inContext(${out}, ${string(args.label)})\n}\n`
+      case 'seq': {
+        const label = fresh('seq')
+        const index = fresh('index')
+        const values = fresh('values')
+        const result = fresh('result')
+        // Failures after a `p.cut` are committed.
+        const cut = fresh('cut')
+        const failed = (n, failure) =>
+          n === 0 ? failure : `${cut} ? committed(${failure}) : ${failure}`
+        const parts = children.map((part, n) => {
+          const shape = shapeOf(part)
+          if (shape.kind === 'string' && callers.get(part) === 1) {
+            // Strings need no result object.
+            const value = string(shape.args.value)
+            const failure = `makeFailure(${index}, ` +
+              `${string(`'${shape.args.value}'`)})`
+            return `if (limits) checkLimits(limits, ${index})\n` +
+              `if (input.startsWith(${value}, ${index})) {\n` +
+              `  ${values}[${n}] = ${value}\n` +
+              `  ${index} += ${shape.args.value.length}\n` +
+              `} else {\n  ${out} = ${failed(n, failure)}\n` +
+              `  break ${label}\n}\n`
+          }
+          return parseCode(part, index, result) +
+            `if (!${result}.status) {\n  ${out} = ${failed(n, result)}\n` +
+            `  break ${label}\n}\n` +
+            `${values}[${n}] = ${result}.value\n` +
+            `${index} = ${result}.index\n` +
+            `if (${result}.cut) ${cut} = true\n`
+        })
+        return `${label}: {\n` +
+          `let ${index} = ${i}\n` +
+          `const ${values} = new Array(${children.length})\n` +
+          `let ${result}\n` +
+          `let ${cut} = false\n` +
+          parts.join('') +
+          `${out} = makeSuccess(${index}, ${values})\n` +
+          `if (${cut}) ${out}.cut = true\n}\n`
+      }
+      case 'alt': {
+        const label = fresh('alt')
+        const result = fresh('result')
+        const parts = children.map((part, n) => parseCode(part, i, result) +
+          `${out} = ${n === 0 ? result : `mergeOver(${result}, ${out})`}\n` +
+          `if (${out}.status) {\n  ${out} = uncut(${out})\n` +
+          `  break ${label}\n}\n` +
+          `if (${out}.committed) {\n  ${out} = uncommitted(${out})\n` +
+          `  break ${label}\n}\n`)
+        return `${label}: {\nlet ${result}\n${parts.join('')}}\n`
+      }
+      case 'times': {
+        const { min, max } = args
+        const label = fresh('times')
+        const index = fresh('index')
+        const values = fresh('values')
+        const result = fresh('result')
+        const times = fresh('times')
+        const cut = fresh('cut')
+        return `${label}: {\n` +
+          `let ${index} = ${i}\n` +
+          `const ${values} = []\n` +
+          `let ${result}\n` +
+          `let ${cut} = false\n` +
+          `for (let ${times} = 0; ${times} < ${min}; ++${times}) {\n` +
+          parseCode(child, index, result) +
+          `if (!${result}.status) {\n  ${out} = ${result}\n  break ${label}\n}\n` +
+          `${index} = ${result}.index\n` +
+          `${values}.push(${result}.value)\n` +
+          `if (${result}.cut) ${cut} = true\n}\n` +
+          `for (let ${times} = ${min}; ${times} < ${max}; ++${times}) {\n` +
+          parseCode(child, index, result) +
+          (max === Infinity
+            ? `if (${result}.status && ${result}.index === ${index}) {\n` +
+              `  ${out} = zeroWidthFailure(${constant(child)}, ${index})\n` +
+              `  if (${out}) break ${label}\n  break\n}\n`
+            : '') +
+          `if (${result}.status) {\n` +
+          `  ${index} = ${result}.index\n` +
+          `  ${values}.push(${result}.value)\n` +
+          `  if (${result}.cut) ${cut} = true\n` +
+          `} else if (${result}.committed) {\n  ${out} = ${result}\n` +
+          `  break ${label}\n} else break\n}\n` +
+          `${out} = makeSuccess(${index}, ${values})\n` +
+          `if (${cut}) ${out}.cut = true\n}\n`
+      }
+    }
+  }
+
+  const entry = functionOf(root)
+  const source = functionSources.join('\n') + `return ${entry}\n`
+  const helpers = {
+    makeSuccess,
+    makeFailure,
+    mergeOver,
+    checkLimits,
+    getCall: () => currentCall,
+    describedFailure,
+    inContext,
+    committed,
+    uncommitted,
+    uncut,
+    zeroWidthFailure
+  }
+  const names = Object.keys(helpers)
+  // Turning the generated code into a function needs `Function`, which the
+  // linter forbids as a form of eval.  The code is made only from the shapes
+  // of parsers:  strings in it are written as JSON, and other values are
+  // passed in `c`, so nothing from the user runs as code.
+  const makeEntry = Function('c', ...names, source) // eslint-disable-line no-new-func
+  return { source, run: makeEntry(constants, ...names.map((x) => helpers[x])) }
+}
+
+Partser.compile = (parser) => {
+  assertParser('compile', parser)
+  const { source, run } = compileParser(parser)
+  // Later changes to the parsers, by `p.replace`, don't affect the compiled
+  // code, so they don't affect what we fall back to either.
+  const interpret = parser.behaviour
+
+  return Parser(parser.displayName, (input, i, env, debugHandler) => {
+    const call = currentCall
+    if (debugHandler || typeof input !== 'string' ||
+        (call && (call.stream || call.reads))) {
+      return interpret(input, i, env, debugHandler)
+    }
+    return run(input, i, env)
+  }, { kind: 'compiled', children: [parser], args: { source } })
+}
+
+//
+// Grammars
+//
+// `p.grammar` parses its grammar text into a syntax tree with parsers built
+// by this library, then builds a parser for each rule from that tree.
+//
+// `p.g` does the same for a single expression, written in a template literal.
+// The values interpolated into the template are marked in its text as `${0}`,
+// `${1}` and so on, which are only valid syntax in templates.
+//
+
+const makeGrammarSyntax = ({ template }) => {
+  const P = Partser
+  const node = (type, properties) => Object.assign({ type }, properties)
+
+  const comment = P.regex(/#[^\n]*/)
+  const _ = P.times(P.alt([P.regex(/\s+/), comment]), 0, Infinity)
+  const token = (parser) => skip(parser, _)
+  const symbol = (text) => token(P.string(text))
+
+  const identifier = token(P.regex(/[A-Za-z_][A-Za-z0-9_]*/))
+  const arrow = token(P.regex(/<-|=/))
+  const ruleStart = P.seq([identifier, arrow])
+
+  const escapes = { n: '\n', r: '\r', t: '\t', 0: '\0' }
+  const unescape = (text) => text.replace(/\\(u[0-9a-fA-F]{4}|.)/g,
+    (_, c) => c.length > 1
+      ? String.fromCharCode(parseInt(c.slice(1), 16))
+      : escapes[c] || c)
+  const literal = P.desc(token(P.map(
+    P.regex(/'((?:\\.|[^'\\])*)'|"((?:\\.|[^"\\])*)"/),
+    (text) => node('literal', { value: unescape(text.slice(1, -1)) }))),
+  'a string literal')
+  const characterClass = P.desc(token(P.map(
+    P.regex(/\[(?:\\.|[^\]\\])*\]/),
+    (source) => node('class', { source }))),
+  'a character class')
+
+  const expression = P.from(() => choice)
+  const interpolation = P.map(token(P.regex(/\$\{(\d+)\}/, 1)),
+    (index) => node('interpolation', { index: Number(index) }))
+  const primary = P.alt([
+    ...(template ? [interpolation] : []),
+    P.map(P.except(identifier, ruleStart), (name) => node('rule', { name })),
+    P.map(P.seq([symbol('('), expression, symbol(')')]), ([, x]) => x),
+    literal,
+    characterClass,
+    P.map(symbol('.'), () => node('any'))
+  ])
+
+  const count = P.map(P.regex(/\d+/), Number)
+  const quantifier = P.alt([
+    P.map(symbol('*'), () => ({ min: 0, max: Infinity })),
+    P.map(symbol('+'), () => ({ min: 1, max: Infinity })),
+    P.map(symbol('?'), () => ({ optional: true })),
+    // {n}, {n,} or {n,m}
+    P.map(token(P.seq([
+      P.string('{'), count,
+      P.times(P.seq([P.string(','), P.times(count, 0, 1)]), 0, 1),
+      P.string('}')
+    ])), ([, min, [comma]]) => {
+      if (!comma) return { min, max: min }
+      const [max] = comma[1]
+      return { min, max: max === undefined ? Infinity : max }
+    })
+  ])
+  const suffixed = P.map(P.seq([primary, P.times(quantifier, 0, 1)]),
+    ([expression, [q]]) => {
+      if (!q) return expression
+      if (q.optional) return node('optional', { expression })
+      return node('repeat', { expression, min: q.min, max: q.max })
+    })
+  const prefixed = P.map(
+    P.seq([P.times(P.alt([symbol('&'), symbol('!')]), 0, 1), suffixed]),
+    ([[prefix], expression]) => {
+      if (!prefix) return expression
+      return node(prefix === '&' ? 'and' : 'not', { expression })
+    })
+
+  const action = P.map(P.seq([symbol('{'), identifier, symbol('}')]),
+    ([, name]) => name)
+  const sequence = P.map(
+    P.seq([P.times(prefixed, 1, Infinity), P.times(action, 0, 1)]),
+    ([elements, [action]]) => {
+      if (elements.length === 1 && !action) return elements[0]
+      return node('sequence', { elements, action })
+    })
+  const choice = P.map(
+    P.seq([sequence,
+      P.times(P.map(P.seq([symbol('/'), sequence]), ([, x]) => x),
+        0, Infinity)]),
+    ([first, rest]) => rest.length
+      ? node('choice', { alternatives: [first, ...rest] })
+      : first)
+
+  const rule = P.map(P.seq([identifier, arrow, expression]),
+    ([name, , expression]) => ({ name, expression }))
+
+  return template
+    ? P.map(P.seq([_, expression]), ([, expression]) => expression)
+    : P.map(P.seq([_, P.times(rule, 1, Infinity)]), ([, rules]) => rules)
+}
+const grammarSyntax = makeGrammarSyntax({ template: false })
+const templateSyntax = makeGrammarSyntax({ template: true })
+
+// Makes a function that builds parsers from syntax tree nodes.  The
+// `functionName` is for error messages, `ruleParser` gets parsers for rule
+// references, and `values` are the values interpolated into a template.
+const grammarCompiler = (functionName, actions, ruleParser, values) => {
+  const usedValues = new Set()
+  const action = (name) => {
+    assertFunction(`${functionName} actions.${name}`, actions[name])
+    return actions[name]
+  }
+
+  const compile = (node) => {
+    switch (node.type) {
+      case 'rule': return ruleParser(node.name)
+      case 'interpolation':
+        usedValues.add(node.index)
+        return values[node.index]
+      case 'literal': return Partser.string(node.value)
+      case 'class': return Partser.regex(RegExp(node.source))
+      case 'any': return Partser.any
+      case 'choice': return Partser.alt(node.alternatives.map(compile))
+      case 'sequence': {
+        const parser = Partser.seq(node.elements.map(compile))
+        return node.action ? Partser.map(parser, action(node.action)) : parser
+      }
+      case 'optional':
+        return Partser.alt([compile(node.expression), Partser.succeed(null)])
+      case 'repeat':
+        return Partser.times(compile(node.expression), node.min, node.max)
+      case 'and': return Partser.lookahead(compile(node.expression))
+      case 'not': return Partser.notFollowedBy(compile(node.expression))
+    }
+  }
+  return { compile, action, usedValues }
+}
+
+// Makes parsers for rules that aren't defined in the grammar, which look the
+// rule up in the environment instead.
+const envRuleParsers = (functionName) => {
+  const parsers = {}
+  return (name) => {
+    if (!parsers[name]) {
+      const decideParser = (env) => {
+        const parser = env === undefined || env === null
+          ? undefined
+          : env[name]
+        assert('parser', isParser)(`${functionName} rule ${name}`, parser)
+        return parser
+      }
+      parsers[name] = Parser(name, (input, i, env, debugHandler) =>
+        decideParser(env)._(input, i, env, debugHandler),
+      { kind: 'from', children: [], args: { name, decideParser } })
+    }
+    return parsers[name]
+  }
+}
+
+const compileGrammar = (rules, actions) => {
+  const bodies = {}
+  const parsers = {}
+  const envRuleParser = envRuleParsers('grammar')
+
+  // Rules are referred to through parsers that look up the rule's parser
+  // when called, so rules can refer to rules defined later, or to
+  // themselves.
+  const { compile, action } = grammarCompiler('grammar', actions,
+    (name) => parsers[name] || envRuleParser(name))
+
+  for (const { name } of rules) {
+    if (parsers[name]) {
+      throw new SyntaxError(`Partser.grammar: Rule defined twice: ${name}`)
+    }
+    parsers[name] = Parser(name, (input, i, env, debugHandler) =>
+      bodies[name]._(input, i, env, debugHandler), {
+      kind: 'rule',
+      get children () { return [bodies[name]] },
+      args: { name }
+    })
+  }
+  for (const { name, expression } of rules) {
+    const body = compile(expression)
+    bodies[name] = actions[name] ? Partser.map(body, action(name)) : body
+  }
+  return parsers
+}
+
+Partser.grammar = (text, actions = {}) => {
+  assertString('grammar', text)
+  const result = grammarSyntax(text)
+  if (!result.status) {
+    throw new SyntaxError(
+      `Partser.grammar: ${Partser.formatError(text, result)}`)
+  }
+  return compileGrammar(result.value, actions)
+}
+
+Partser.g = (strings, ...values) => {
+  values.forEach((x) => assertParser('g', x))
+  const text = strings.raw.reduce((text, string, i) =>
+    `${text}\${${i - 1}}${string}`)
+  const result = templateSyntax(text)
+  if (!result.status) {
+    throw new SyntaxError(`Partser.g: ${Partser.formatError(text, result)}`)
+  }
+
+  // Like `p.seq`, each alternative returns an array, even if it only has one
+  // part.
+  const { compile, usedValues } =
+    grammarCompiler('g', {}, envRuleParsers('g'), values)
+  const compileSequence = (node) => node.type === 'sequence'
+    ? compile(node)
+    : Partser.seq([compile(node)])
+  const expression = result.value
+  const parser = expression.type === 'choice'
+    ? Partser.alt(expression.alternatives.map(compileSequence))
+    : compileSequence(expression)
+
+  // Values interpolated into a literal or character class would just become
+  // part of its text, which is surely a mistake.
+  values.forEach((x, i) => {
+    if (!usedValues.has(i)) {
+      throw new SyntaxError(
+        `Partser.g: Interpolated value ${i} is inside a literal or class`)
+    }
+  })
+  return parser
 }
 
 //
@@ -464,6 +3266,23 @@ const replaceUnprintables = (str) => {
   }).join('')
 }
 
+// Converts a position in a token array to the equivalent in the text of its
+// tokens, separated by spaces.
+const tokensAsText = (tokens, index, nHighlight) => {
+  const texts = Array.from(tokens, isBinary(tokens) ? hexDigits : tokenText)
+  const input = texts.join(' ')
+  const offsetOf = (i) =>
+    Math.min(input.length, texts.slice(0, i).join(' ').length + (i > 0))
+  const start = offsetOf(index)
+  const highlighted = texts.slice(index, index + nHighlight).join(' ')
+  return { input, index: start, nHighlight: highlighted.length }
+}
+
+// Shows consumed input, as JSON unless it's binary.
+const showInput = (part) => isBinary(part)
+  ? `<${Array.from(part, hexDigits).join(' ')}>`
+  : JSON.stringify(part)
+
 const summarisePosition = (input, index, options) => {
   let { nCharsHighlight, paint, context } = options
   nCharsHighlight = nCharsHighlight > context ? context : nCharsHighlight
@@ -516,7 +3335,8 @@ const indentWithPrefix = (prefix, level, str) => {
 
 Partser.debug = (parser, handler) => {
   if (!handler) { handler = Partser.debug.makeHandler() }
-  return Parser('debug', (input, i, env) => parser._(input, i, env, handler))
+  return Parser('debug', (input, i, env) => parser._(input, i, env, handler),
+    { kind: 'debug', children: [parser], args: { debugHandler: handler } })
 }
 
 Partser.debug.makeHandler = (options = {}) => {
@@ -524,26 +3344,46 @@ Partser.debug.makeHandler = (options = {}) => {
   const context = options.context !== undefined ? options.context : 10
   const userDefinedEnter = options.enter
   const userDefinedExit = options.exit
+  const userDefinedReuse = options.reuse
+
+  // Token arrays are shown as their tokens' text, separated by spaces, with
+  // their offsets shown as token numbers instead of lines and columns.  Binary
+  // input is shown the same way, as hex bytes.
+  const summarise = (input, index, nHighlight, paint) => {
+    if (typeof input !== 'string') {
+      ({ input, index, nHighlight } = tokensAsText(input, index, nHighlight))
+    }
+    const actualContext =
+      !padIfShort && context > input.length ? input.length : context
+    return summarisePosition(input, index,
+      { nCharsHighlight: nHighlight, paint, context: actualContext })
+  }
+  const position = (input, index) => {
+    if (typeof input !== 'string') return `#${index}`
+    const { line, column } = lineAndColumnOfOffset(input, index)
+    return `${line},${column}`
+  }
+  // What a parser that succeeded consumed.  Parsers that consumed nothing,
+  // such as `p.lookahead`, are marked to stand out.
+  const consumed = (input, index, end) => end === index
+    ? colour.magenta('(consumed nothing)')
+    : `${colour.yellow(showInput(input.slice(index, end)))} (len ${end - index})`
 
   let nestingLevel = 0
   return {
     enter: (parser, input, index, env) => {
       const name = parser.displayName
-      const actualContext =
-        !padIfShort && context > input.length ? input.length : context
 
       const userData = userDefinedEnter
         ? userDefinedEnter(parser, input, index, env)
         : undefined
 
       if (userData !== false) {
-        const { line, column } = lineAndColumnOfOffset(input, index)
-        const positionSummary = summarisePosition(input, index,
-          { nCharsHighlight: 1, paint: colour.inverse, context: actualContext })
+        const positionSummary = summarise(input, index, 1, colour.inverse)
 
         console.log(
           positionSummary + indent(nestingLevel,
-            `${line},${column} ${colour.blue(name)} ?`))
+            `${position(input, index)} ${colour.blue(name)} ?`))
         if (userData) {
           console.log(indentWithPrefix(positionSummary, nestingLevel, userData))
         }
@@ -554,8 +3394,6 @@ Partser.debug.makeHandler = (options = {}) => {
     exit: (parser, input, index, env, result) => {
       nestingLevel--
       const name = parser.displayName
-      const actualContext =
-        !padIfShort && context > input.length ? input.length : context
 
       const userData = userDefinedExit
         ? userDefinedExit(parser, input, index, env, result)
@@ -563,35 +3401,52 @@ Partser.debug.makeHandler = (options = {}) => {
 
       if (userData === false) { return }
 
-      const { line, column } = lineAndColumnOfOffset(input, index)
       if (result.status) {
         // Success
         const numCharsEaten = result.index - index
-        const eatenPart = input.slice(index, result.index)
-        const positionSummary = summarisePosition(input, index, {
-          nCharsHighlight: numCharsEaten,
-          paint: colour.bgGreen,
-          context: actualContext
-        })
+        const positionSummary =
+          summarise(input, index, numCharsEaten, colour.bgGreen)
         console.log(positionSummary + indent(nestingLevel, [
-          `${line},${column}`,
+          position(input, index),
           `${colour.blue(name)}`,
           `${colour.green('OKAY')}`,
-          `${colour.yellow(JSON.stringify(eatenPart))}`,
-          `(len ${numCharsEaten})`].join(' ')))
+          consumed(input, index, result.index)].join(' ')))
 
         if (userData) {
           console.log(indentWithPrefix(positionSummary, nestingLevel, userData))
         }
       } else {
         // Failure
-        const positionSummary = summarisePosition(input, index,
-          { nCharsHighlight: 1, paint: colour.bgRed, context: actualContext })
+        const positionSummary = summarise(input, index, 1, colour.bgRed)
         console.log(positionSummary + indent(nestingLevel, [
-          `${line},${column}`,
+          position(input, index),
           `${colour.blue(name)}`,
           `FAIL ${JSON.stringify(result.value)}`].join(' ')))
       }
+    },
+    reuse: (parser, input, index, env, result) => {
+      const name = parser.displayName
+
+      const userData = userDefinedReuse
+        ? userDefinedReuse(parser, input, index, env, result)
+        : undefined
+
+      if (userData !== false) {
+        const numCharsEaten = result.status ? result.index - index : 1
+        const positionSummary =
+          summarise(input, index, numCharsEaten, colour.bgCyan)
+        const outcome = result.status
+          ? consumed(input, index, result.index)
+          : `FAIL ${JSON.stringify(result.value)}`
+        console.log(positionSummary + indent(nestingLevel, [
+          position(input, index),
+          `${colour.blue(name)}`,
+          `${colour.cyan('REUSED')}`,
+          outcome].join(' ')))
+        if (userData) {
+          console.log(indentWithPrefix(positionSummary, nestingLevel, userData))
+        }
+      }
     }
   }
 }
@@ -44,6 +44,16 @@ tape('regex', (t) => {
   parseOk(t, p.regex(/(a+)b/, 1), 'aab', 'aa')
   t.end()
 })
+tape('regex matches from its offset', (t) => {
+  const after = (re) => p.seq([p.string('x'), p.regex(re)])
+  parseOk(t, after(/a/gi), 'xA', ['x', 'A'])
+  parseFail(t, after(/a/), 'xba', 1, ['/a/'])
+  // Regexes that look before their offset see the start of the input there.
+  parseOk(t, after(/^a/), 'xa', ['x', 'a'])
+  parseOk(t, after(/\ba/), 'xa', ['x', 'a'])
+  parseFail(t, after(/(?<=x)a/), 'xa', 1, ['/(?<=x)a/'])
+  t.end()
+})
 tape('all', (t) => {
   parseOk(t, p.all, 'aaa', 'aaa')
   t.end()
@@ -88,6 +98,49 @@ tape('lcIndex', (t) => {
   parseOk(t, p.lcIndex, '', { line: 1, column: 1, offset: 0 })
   t.end()
 })
+tape('lcIndex on many lines', (t) => {
+  const input = 'a\n\nbc\n'.repeat(100)
+  const positions = p.times(p.seq([p.lcIndex, p.any]), 0, Infinity)
+  const { value } = positions(input)
+  t.deepEquals(value.slice(0, 5).map(([position]) => position), [
+    { offset: 0, line: 1, column: 1 },
+    { offset: 1, line: 1, column: 2 },
+    { offset: 2, line: 2, column: 1 },
+    { offset: 3, line: 3, column: 1 },
+    { offset: 4, line: 3, column: 2 }
+  ])
+  t.deepEquals(value[value.length - 1][0], { offset: 599, line: 300, column: 3 })
+  t.deepEquals(p.seq([p.string('x\n'), p.lcIndex])('x\n').value[1],
+    { offset: 2, line: 2, column: 1 }, 'also for another input after')
+  const inner = p.seq([p.string('\n\n'), p.lcIndex])
+  const other = p.custom((input, i) =>
+    ({ status: true, index: i, value: inner('\n\n').value[1].line }))
+  const mixed = p.times(p.seq([p.lcIndex, other, p.any]), 0, Infinity)
+  t.deepEquals(mixed('a\nb').value.map(([{ line }, innerLine]) =>
+    [line, innerLine]), [[1, 3], [1, 3], [2, 3]], 'and for inputs in between')
+  t.end()
+})
+tape('lcOffset', (t) => {
+  const input = 'ab\ncd\n\ne'
+  for (let offset = 0; offset <= input.length; ++offset) {
+    const { value } = p.seq([p.regex(RegExp(`[^]{${offset}}`)), p.lcIndex,
+      p.all])(input)
+    t.equals(p.lcOffset(input, value[1].line, value[1].column), offset)
+  }
+  t.throws(() => p.lcOffset(input, 0, 1),
+    /^RangeError: Partser.lcOffset: No line 0 in input with 4 lines$/)
+  t.throws(() => p.lcOffset(input, 5, 1), /No line 5/)
+  t.throws(() => p.lcOffset(input, 1.5, 1), /No line 1.5/)
+  t.throws(() => p.lcOffset(input, 1, 4),
+    /^RangeError: Partser.lcOffset: No column 4 on line 1, which has 3 columns$/)
+  t.throws(() => p.lcOffset(input, 4, 3), /No column 3 on line 4/)
+  t.throws(() => p.lcOffset(input, 2, 0), /No column 0/)
+  t.throws(() => p.lcOffset(input, 2, 1.5), /No column 1.5/)
+  t.throws(() => p.lcOffset(['a'], 1, 1), /Partser.lcOffset: Not a string/)
+  t.throws(() => p.lcOffset(input, '1', 1), /Not a number/)
+  t.throws(() => p.lcOffset(input, 1, '1'), /Not a number/)
+  t.end()
+})
 tape('seq', (t) => {
   parseOk(t, p.seq([p.string('a'), p.string('b')]),
     'ab', ['a', 'b'])
@@ -215,6 +268,111 @@ tape('custom parsers can take whatever instead of strings', (t) => {
   t.end()
 })
 
+tape('step limit', (t) => {
+  const letters = p.times(p.regex(/[a-z]/), 0, Infinity)
+  t.deepEquals(letters('abcdefgh', undefined, 0, { maxSteps: 10 }),
+    { status: false, index: 7, value: [], aborted: 'maxSteps' })
+  t.deepEquals(letters('abc', undefined, 0, { maxSteps: 10 }),
+    { status: true, index: 3, value: ['a', 'b', 'c'] })
+
+  // Parsers that catch errors can't keep going.
+  const stubborn = p.custom((input, i, env) => {
+    try {
+      return letters._(input, i, env)
+    } catch (e) {
+      return p.string('a')._(input, i, env)
+    }
+  })
+  t.deepEquals(stubborn('abcdefgh', undefined, 0, { maxSteps: 5 }),
+    { status: false, index: 1, value: [], aborted: 'maxSteps' })
+
+  const edited = p.reparse(
+    letters('ab1', undefined, 0, { incremental: true, maxSteps: 10 }),
+    2, 1, 'cdefgh')
+  t.deepEquals(edited, { status: false, index: 7, value: [], aborted: 'maxSteps' },
+    'reparse keeps the limit')
+  t.end()
+})
+
+tape('time limit', (t) => {
+  // A clock that only moves on when `slow` says so, so the timing is exact.
+  const now = Date.now
+  let time = 0
+  Date.now = () => time
+  const slow = p.custom((input, i) => {
+    time += 5
+    return i < input.length
+      ? { status: true, index: i + 1, value: input[i] }
+      : { status: false, index: i, value: ['something'] }
+  })
+  try {
+    t.deepEquals(p.times(slow, 0, Infinity)('abcdefgh', undefined, 0,
+      { timeout: 12 }),
+    { status: false, index: 3, value: [], aborted: 'timeout' })
+    t.deepEquals(p.times(slow, 0, Infinity)('ab', undefined, 0,
+      { timeout: 15 }), { status: true, index: 2, value: ['a', 'b'] })
+  } finally {
+    Date.now = now
+  }
+  t.end()
+})
+
+tape('limits of nested calls', (t) => {
+  const letters = p.times(p.regex(/[a-z]/), 0, Infinity)
+  // Parses the rest of the input with a call of its own.
+  const nested = (options) => p.custom((input, i, env) => {
+    const result = letters(input.slice(i), env, 0, options)
+    return result.status
+      ? { status: true, index: input.length, value: result.value }
+      : { status: false, index: i, value: ['letters'] }
+  })
+
+  t.deepEquals(nested()('abcdefgh', undefined, 0, { maxSteps: 10 }),
+    { status: false, index: 0, value: [], aborted: 'maxSteps' },
+    "the outer call's limits stop it")
+  t.deepEquals(nested({ maxSteps: 100 })('abcdefgh', undefined, 0,
+    { maxSteps: 10 }),
+  { status: false, index: 0, value: [], aborted: 'maxSteps' },
+  'even with limits of its own')
+  t.deepEquals(nested({ maxSteps: 5 })('abcdefgh', undefined, 0,
+    { maxSteps: 100 }),
+  { status: false, index: 0, value: ['letters'] },
+  'its own limits only stop it')
+  t.deepEquals(nested()('abc', undefined, 0, { maxSteps: 100 }),
+    { status: true, index: 3, value: ['a', 'b', 'c'] })
+
+  const signal = { aborted: false }
+  const cancelling = p.seq([
+    p.string('a'),
+    p.custom((input, i) => p.map(p.string('b'), (x) => {
+      signal.aborted = true
+      return x
+    })(input, undefined, i))
+  ])
+  t.deepEquals(cancelling('ab', undefined, 0, { signal }),
+    { status: false, index: 1, value: [], aborted: 'signal' },
+    "and the outer call's signal")
+  t.end()
+})
+
+tape('cancellation', (t) => {
+  // Anything with an `aborted` property works, such as an AbortSignal.
+  const signal = { aborted: false }
+  const parser = p.seq([
+    p.string('a'),
+    p.map(p.string('b'), (x) => { signal.aborted = true; return x }),
+    p.string('c')
+  ])
+  t.deepEquals(parser('abc', undefined, 0, { signal }),
+    { status: false, index: 2, value: [], aborted: 'signal' })
+  t.deepEquals(p.string('a')('a', undefined, 0, { signal }),
+    { status: false, index: 0, value: [], aborted: 'signal' },
+    'already cancelled')
+  t.deepEquals(p.string('a')('a', undefined, 0,
+    { signal: { aborted: false } }), { status: true, index: 1, value: 'a' })
+  t.end()
+})
+
 //
 // Combinators
 //
@@ -222,9 +380,21 @@ tape('custom parsers can take whatever instead of strings', (t) => {
 tape('except', (t) => {
   const forbidden = p.regex(/[abc]/)
   const okChars = p.except(p.any, forbidden)
-  parseFail(t, okChars, 'b', 0, ["something that is not 'b'"])
+  parseFail(t, okChars, 'b', 0, ["any character (except 'b')"])
   parseFail(t, okChars, '', 0, ['any character (except /[abc]/)'])
+  const keyword = p.map(p.token('if'), ({ value }) => value)
+  parseFail(t, p.except(p.token('word'), keyword), [{ type: 'if', value: 'if' }],
+    0, ['a token of type "word" (except \'if\')'])
+  parseFail(t, p.except(p.token('word'), p.token('if')),
+    [{ type: 'if', value: 'if' }], 0, ['a token of type "word" (except \'if\')'])
+  const opaque = p.except(p.from(() => p.any), forbidden)
+  parseFail(t, opaque, 'b', 0, ["something that is not 'b'"])
   parseOk(t, okChars, 'x', 'x')
+  parseFail(t, okChars, 'c', 0, ["any character (except 'c')"])
+
+  const okItems = p.except(p.any, p.test((x) => x === 'b'))
+  parseFail(t, okItems, ['b'], 0, ["any token (except 'b')"])
+  parseFail(t, okItems, 'b', 0, ["any character (except 'b')"])
 
   const needsEnv = p.map(p.string('a'), (x, f) => f(x))
 
@@ -243,7 +413,7 @@ tape('except', (t) => {
     const withEnv = p.except(p.any, needsEnv)
     t.deepEquals(withEnv('a', x => x.toUpperCase()), {
       status: false,
-      value: ['something that is not \'A\''],
+      value: ['any character (except \'A\')'],
       index: 0
     }, 'passes env for failure case')
   })()
@@ -383,6 +553,16 @@ tape('alt', (t) => {
   t.end()
 })
 
+tape('alt fails where an alternative got furthest', (t) => {
+  const s = p.string
+  const ab = p.seq([s('a'), s('b')])
+  parseFail(t, p.alt([ab, s('c')]), 'ax', 1, ["'b'"])
+  parseFail(t, p.alt([s('c'), ab]), 'ax', 1, ["'b'"])
+  parseFail(t, p.alt([ab, s('c'), p.seq([s('a'), s('d')])]), 'ax', 1,
+    ["'d'", "'b'"])
+  t.end()
+})
+
 tape('times', (t) => {
   const notAtAll = p.times(p.string('a'), 0)
   const once = p.times(p.string('a'), 1)
@@ -445,6 +625,41 @@ tape('times (env chain)', (t) => {
   t.end()
 })
 
+tape('times without progress', (t) => {
+  const spaces = p.regex(/ */)
+  const parser = p.times(spaces, 0, Infinity)
+  t.deepEquals(parser('  '),
+    { status: false, index: 2, value: ['regex(/ */, 0) to consume input'] })
+  t.deepEquals(parser._('', 0),
+    { status: false, index: 0, value: ['regex(/ */, 0) to consume input'] },
+    'outside a call')
+  t.deepEquals(parser('  ', undefined, 0, { zeroWidthRepetition: 'stop' }),
+    { status: true, index: 2, value: ['  '] })
+  t.deepEquals(p.times(p.eof, 1, Infinity)('', undefined, 0,
+    { zeroWidthRepetition: 'stop' }), { status: true, index: 0, value: [null] },
+  'counts towards the minimum')
+  t.deepEquals(p.times(spaces, 2)('  '),
+    { status: true, index: 2, value: ['  ', ''] },
+    'only repetitions beyond the minimum count')
+  t.deepEquals(p.times(spaces, 2, 3)('  '),
+    { status: true, index: 2, value: ['  ', '', ''] },
+    'bounded repetition ends by itself')
+  t.deepEquals(p.times(spaces, 0, 1)(''),
+    { status: true, index: 0, value: [''] }, 'also when optional')
+  t.deepEquals(p.seq([p.string('a'), p.times(spaces, 0, 1), p.string('b')])('ab'),
+    { status: true, index: 2, value: ['a', [''], 'b'] })
+
+  const stopped = p.reparse(parser('  x', undefined, 0,
+    { incremental: true, zeroWidthRepetition: 'stop' }), 2, 1, ' ')
+  t.deepEquals(stopped, { status: true, index: 3, value: ['   '] },
+    'reparse keeps the setting')
+  t.deepEquals(
+    p.stream(p.seq([parser, p.string(';')]), undefined,
+      { zeroWidthRepetition: 'stop' }).end('  ;'),
+    { status: true, index: 3, value: [[['  '], ';']] })
+  t.end()
+})
+
 tape('desc', (t) => {
   const a = p.desc(p.string('a'), 'first letter of the alphabet')
   parseOk(t, a, 'a', 'a')
@@ -489,6 +704,72 @@ tape('desc', (t) => {
   t.end()
 })
 
+tape('context', (t) => {
+  const semicolon = p.string(';')
+  const returnExpression = p.context(
+    p.seq([p.string('return '), p.regex(/[a-z]+/), semicolon]),
+    'return expression')
+  const body = p.context(
+    p.seq([p.string('{ '), returnExpression, p.string(' }')]),
+    'function body')
+  const statement = p.context(p.seq([p.string('f() '), body]), 'statement')
+
+  parseOk(t, statement, 'f() { return x; }', [
+    'f() ', ['{ ', ['return ', 'x', ';'], ' }']])
+  t.deepEquals(statement('f() { return x }'), {
+    status: false,
+    index: 14,
+    value: ["';'"],
+    context: ['statement', 'function body', 'return expression']
+  })
+  t.equals(p.formatError('f() { return x }', statement('f() { return x }')),
+    "expected ';' while parsing statement > function body > " +
+    "return expression at character 14, got ' }'")
+  t.equals(body.displayName, 'context("function body", seq(*3))')
+
+  // Failures before the label's parser starts aren't in its context.
+  t.deepEquals(p.seq([p.string('a'), p.context(semicolon, 'end')])('b'),
+    { status: false, index: 0, value: ["'a'"] })
+
+  // The context survives being merged with other failures at the same
+  // offset, keeping the deeper one.
+  const either = p.alt([
+    p.context(p.context(p.string('a'), 'inner'), 'outer'),
+    p.context(p.string('b'), 'other'),
+    p.string('c')
+  ])
+  t.deepEquals(either('x'), {
+    status: false,
+    index: 0,
+    value: ["'c'", "'b'", "'a'"],
+    context: ['outer', 'inner']
+  })
+  t.deepEquals(p.alt([p.string('c'), p.context(p.string('b'), 'b')])('x'), {
+    status: false,
+    index: 0,
+    value: ["'b'", "'c'"],
+    context: ['b']
+  })
+
+  // `p.desc` replaces what was expected, but not the context.
+  t.deepEquals(p.desc(body, 'a body')('{ return x }'), {
+    status: false,
+    index: 10,
+    value: ['a body'],
+    context: ['function body', 'return expression']
+  })
+
+  t.deepEquals(p.parseAll(statement, 'f() { return x }'), {
+    status: false,
+    index: 14,
+    value: ["';'"],
+    context: ['statement', 'function body', 'return expression']
+  })
+  t.deepEquals(p.parseAll(p.seq([p.context(p.string('a'), 'a'), semicolon]), 'a'),
+    { status: false, index: 1, value: ["';'"] })
+  t.end()
+})
+
 tape('mark', (t) => {
   const aMark = p.mark(p.regex(/a*/))
   parseOk(t, aMark, '', { value: '', start: 0, end: 0 })
@@ -596,194 +877,2418 @@ tape('chain', (t) => {
   t.end()
 })
 
-//
-// p.replace & co
-//
+tape('memo', (t) => {
+  let calls = 0
+  const counted = p.map(p.regex(/a+/), (x) => { calls += 1; return x })
+  const memoised = p.memo(counted)
+  const parser = p.alt([
+    p.seq([memoised, p.string('!')]),
+    p.seq([memoised, p.string('?')])
+  ])
+  parseOk(t, parser, 'aa?', ['aa', '?'])
+  t.equals(calls, 1, 'second alternative reuses cached result')
 
-tape('replace', (t) => {
-  // Replacement changes the logic of one parser to the that of another.
-  let a = p.string('a')
-  let b = p.string('b')
-  p.replace(a, b)
-  parseOk(t, a, 'b', 'b')
+  parseOk(t, parser, 'aa?', ['aa', '?'])
+  t.equals(calls, 2, 'cache does not outlive the call')
 
-  // This doesn't change the replaced parser's identity, so its behaviour just
-  // changes in-place wherever it's been used otherwise.
-  a = p.string('a')
-  b = p.string('b')
-  const many = p.times(a, 1, Infinity)
-  p.replace(a, b)
-  parseOk(t, many, 'bb', ['b', 'b'])
+  parseFail(t, parser, 'b', 0, ['/a+/', '/a+/'])
+  t.end()
+})
 
-  // A `p.replace` is one-off: the replacement is by value, not reference.  This
-  // means replacing A with B and later replacing B with C, means A's logic is
-  // still from what B was then, not what it changed to become.
-  a = p.string('a')
-  b = p.string('b')
-  p.replace(a, b)
-  p.replace(b, p.string('c'))
-  parseOk(t, a, 'b', 'b')
+tape('memo caches failures', (t) => {
+  let calls = 0
+  const counted = p.custom((input, i) => {
+    calls += 1
+    return { status: false, index: i, value: ['nope'] }
+  })
+  const memoised = p.memo(counted)
+  parseFail(t, p.alt([memoised, memoised]), '', 0, ['nope', 'nope'])
+  t.equals(calls, 1)
+  t.end()
+})
 
-  // This also works with `p.chain`, which dynamically chooses which parser to go
-  // with next, based on the result of the previous.
-  a = p.string('a')
-  b = p.string('b')
-  const acbd = p.chain(p.alt([a, b]), (result) => {
-    if (result.match(/a+/)) {
-      return p.string('c')
-    } else {
-      return p.string('d')
-    }
+tape('memo distinguishes environments by identity', (t) => {
+  let calls = 0
+  const envValue = p.memo(p.map(p.string('a'), (x, env) => {
+    calls += 1
+    return env.value
+  }))
+  const parser = p.alt([
+    p.seq([p.subEnv(envValue, (env) => ({ value: 1 })), p.string('!')]),
+    p.seq([p.subEnv(envValue, (env) => ({ value: 2 })), p.string('?')]),
+    p.seq([envValue, p.string('.')]),
+    p.seq([envValue, p.string(',')])
+  ])
+  t.deepEquals(parser('a,', { value: 0 }), {
+    status: true,
+    value: [0, ','],
+    index: 2
   })
-  parseOk(t, acbd, 'ac', 'c')
-  parseOk(t, acbd, 'bd', 'd')
-  p.replace(a, p.regex(/a+/))
-  parseOk(t, acbd, 'aaac', 'c')
-  parseFail(t, acbd, 'aaad', 3, ["'c'"])
+  t.equals(calls, 3, 'only the same env object hits the cache')
   t.end()
 })
 
-tape('replace with except', (t) => {
+tape('memo follows p.replace', (t) => {
   const a = p.string('a')
-  const anyButA = p.except(p.any, a)
+  const parser = p.memo(a)
+  parseOk(t, parser, 'a', 'a')
   p.replace(a, p.string('b'))
-  parseOk(t, anyButA, 'a', 'a')
-  parseFail(t, anyButA, 'b', 0, ["something that is not 'b'"])
+  parseOk(t, parser, 'b', 'b')
+
+  // Even if the replacement happens during the call
+  const c = p.string('c')
+  const memoC = p.memo(c)
+  const replacer = p.custom((input, i) => {
+    p.replace(c, p.string('d'))
+    return { status: true, index: i, value: null }
+  })
+  parseOk(t, p.seq([memoC, replacer, memoC]), 'cd', ['c', null, 'd'])
   t.end()
 })
 
-tape('replace with p.alt', (t) => {
-  const a = p.fail('defined later')
-  const b = p.string('b')
-  const aOrB = p.alt([a, b])
-  p.replace(a, p.map(p.string('c'), () => 'hi'))
-  parseOk(t, aOrB, 'b', 'b')
-  parseOk(t, aOrB, 'c', 'hi')
-  parseFail(t, aOrB, 'a', 0, ["'b'", "'c'"])
+tape('memo outside of a top-level call', (t) => {
+  const parser = p.memo(p.string('a'))
+  t.deepEquals(parser._('a', 0), { status: true, index: 1, value: 'a' })
   t.end()
 })
 
-tape('replace with p.alt', (t) => {
-  const listParserLater = p.fail('implemented later')
-  const expression = p.alt([
-    listParserLater,
-    p.string('a')])
+tape('memo keeps results for each input', (t) => {
+  const word = p.memo(p.regex(/[a-z]+/))
+  const other = p.custom(() => word._('zzz', 0))
+  parseOk(t, p.seq([word, other]), 'abc', ['abc', 'zzz'])
+  t.end()
+})
 
-  const between = (parser, before, after) =>
-    p.map(p.seq([before, parser, after]), ([_, x]) => x)
+tape('leftRec', (t) => {
+  const number = p.map(p.regex(/[0-9]+/), Number)
+  const expression = p.leftRec(p.from(() => p.alt([
+    p.seq([expression, p.string('-'), number]),
+    number
+  ])))
+  parseOk(t, expression, '1', 1)
+  parseOk(t, expression, '3-2', [3, '-', 2])
+  parseOk(t, expression, '3-2-1', [[3, '-', 2], '-', 1])
+  parseFail(t, expression, '', 0, ['/[0-9]+/'])
+  parseFail(t, expression, '3-', 1, ['EOF'])
+  parseFail(t, expression, '3-2x', 3, ['EOF'])
+
+  t.deepEquals(expression._('3-2x', 0), {
+    status: true,
+    index: 3,
+    value: [3, '-', 2]
+  }, 'works outside of a top-level call')
+  t.end()
+})
 
-  const listOpener = p.string('(')
-  const listTerminator = p.string(')')
+tape('leftRec with p.replace', (t) => {
+  const term = p.regex(/[a-z]/)
+  const expression = p.fail('defined later')
+  p.replace(expression, p.leftRec(p.alt([
+    p.map(p.seq([expression, p.string('+'), term]),
+      ([left, _, right]) => ({ left, right })),
+    term
+  ])))
+  parseOk(t, expression, 'a+b+c', {
+    left: { left: 'a', right: 'b' },
+    right: 'c'
+  })
+  t.end()
+})
 
-  const listContent = p.desc(p.times(expression, 0, Infinity), 'list content')
-  const list = between(listContent, listOpener, listTerminator)
-  p.replace(listParserLater, list)
+tape('leftRec with indirect left recursion', (t) => {
+  const b = p.from(() => p.seq([a, p.string('b')]))
+  const a = p.leftRec(p.alt([
+    p.seq([b, p.string('a')]),
+    p.string('x')
+  ]))
+  parseOk(t, a, 'x', 'x')
+  parseOk(t, a, 'xba', [['x', 'b'], 'a'])
+  parseOk(t, a, 'xbaba', [[[['x', 'b'], 'a'], 'b'], 'a'])
+  t.end()
+})
+
+tape('leftRec keeps seeds for each input', (t) => {
+  const number = p.map(p.regex(/[0-9]+/), Number)
+  const expression = p.leftRec(p.from(() => p.alt([
+    p.map(p.seq([expression, p.string('-'), number]), ([a, _, b]) => a - b),
+    number,
+    // Parses other input at the same offset, while the seed for this input
+    // is still growing.
+    p.custom((input, i) => {
+      const result = expression._('5-3', 0)
+      return { status: true, index: i + 1, value: result.value }
+    })
+  ])))
+  parseOk(t, expression, 'x', 2)
+  t.end()
+})
+
+tape('leftRec with memo', (t) => {
+  const number = p.memo(p.map(p.regex(/[0-9]+/), Number))
+  const expression = p.memo(p.leftRec(p.from(() => p.alt([
+    p.map(p.seq([p.memo(expression), p.string('-'), number]),
+      ([left, _, right]) => left - right),
+    number
+  ]))))
+  parseOk(t, expression, '5-3-1', 1)
+  parseOk(t, p.alt([p.seq([expression, p.string('!')]), expression]),
+    '5-3-1', 1)
+  t.end()
+})
+
+tape('operators', (t) => {
+  const atom = p.regex(/[a-z]/)
+  const op = (type, symbol) => ({
+    type,
+    parser: p.string(symbol),
+    build: type === 'prefix' || type === 'postfix'
+      ? (a, b) => [a, b]
+      : (left, op, right) => [left, op, right]
+  })
+  const expression = p.operators(atom, [
+    [op('prefix', '-'), op('postfix', '!')],
+    [op('right', '^')],
+    [op('left', '*'), op('left', '/')],
+    [op('none', '=')]
+  ])
 
   parseOk(t, expression, 'a', 'a')
-  parseOk(t, expression, '()', [])
+  parseOk(t, expression, '-a', ['-', 'a'])
+  parseOk(t, expression, '--a!!', [[['-', ['-', 'a']], '!'], '!'])
+  parseOk(t, expression, 'a^b^c', ['a', '^', ['b', '^', 'c']])
+  parseOk(t, expression, 'a*b/c', [['a', '*', 'b'], '/', 'c'])
+  parseOk(t, expression, 'a*b^c*d', [['a', '*', ['b', '^', 'c']], '*', 'd'])
+  parseOk(t, expression, '-a^b=c', [[['-', 'a'], '^', 'b'], '=', 'c'])
+  parseFail(t, expression, 'a=b=c', 3, ['EOF'])
+  parseFail(t, expression, 'a*', 1, ['EOF'])
+  parseFail(t, expression, '', 0, ['/[a-z]/'])
+
+  const onlyPostfix = p.operators(atom, [[op('postfix', '!')]])
+  parseOk(t, onlyPostfix, 'a!!', [['a', '!'], '!'])
+  const onlyPrefix = p.operators(atom, [[op('prefix', '-')]])
+  parseOk(t, onlyPrefix, '--a', ['-', ['-', 'a']])
   t.end()
 })
 
-tape('clone', (t) => {
-  let a = p.string('a')
+tape('operators with no operators', (t) => {
+  parseOk(t, p.operators(p.string('a'), []), 'a', 'a')
+  parseOk(t, p.operators(p.string('a'), [[]]), 'a', 'a')
+  t.end()
+})
 
-  // Cloning an object creates a parser which has a separate identity but the
-  // same parsing behaviour and display name.
-  t.equal(a, a)
-  t.notEqual(a, p.clone(a))
-  t.equal(a.displayName, p.clone(a).displayName)
-  parseOk(t, a, 'a', 'a')
-  parseOk(t, p.clone(a), 'a', 'a')
-  // This means you can modify the p.clone, e.g. by replacing it's logic, without
-  // affecting the original.
-  const b = p.clone(a)
-  p.replace(b, p.string('b'))
-  parseOk(t, b, 'b', 'b') // p.clone logic altered
-  parseOk(t, a, 'a', 'a') // original still the same
+tape('operators passes env', (t) => {
+  const number = p.map(p.regex(/[0-9]/), (x, env) => Number(x) * env.scale)
+  const expression = p.from((env) => p.operators(number, env.table))
+  const plus = {
+    type: 'left',
+    parser: p.from((env) => env.plus),
+    build: (left, op, right, env) => env.combine(left, right)
+  }
+  const env = {
+    scale: 10,
+    table: [[plus]],
+    plus: p.string('&'),
+    combine: (a, b) => a + b
+  }
+  t.deepEquals(expression('1&2&3', env), {
+    status: true,
+    value: 60,
+    index: 5
+  })
+  t.end()
+})
 
-  // Cloning does not preserve object properties.
-  a = p.string('a')
-  a.hi = 'hello'
-  t.throws(() => p.clone('a'))
+tape('operators argument checks', (t) => {
+  const a = p.string('a')
+  t.throws(() => p.operators('a', []), TypeError)
+  t.throws(() => p.operators(a, {}), TypeError)
+  t.throws(() => p.operators(a, [{}]), TypeError)
+  t.throws(() => p.operators(a, [[{ type: 'infix', parser: a, build: () => {} }]]),
+    /Not an operator type: infix/)
+  t.throws(() => p.operators(a, [[{ type: 'left', parser: 'a', build: () => {} }]]),
+    /Not a parser/)
+  t.throws(() => p.operators(a, [[{ type: 'left', parser: a }]]),
+    /Not a function/)
+  t.end()
+})
 
-  // Without cloning the `a` here, one of the branches of the p.alt would refer
-  // to the p.alt itself (since that's what `a` is replaced with and cause an
-  // infinite loop when called.
-  a = p.string('a')
-  p.replace(a, p.alt([p.clone(a), p.string('b')]))
-  parseOk(t, a, 'a', 'a')
-  parseOk(t, a, 'b', 'b')
+tape('lookahead', (t) => {
+  const parser = p.seq([p.lookahead(p.regex(/[a-z]+/)), p.any])
+  parseOk(t, parser, 'a', ['a', 'a'])
+  parseFail(t, parser, '1', 0, ['/[a-z]+/'])
+  parseFail(t, p.lookahead(p.string('a')), 'a', 0, ['EOF'])
+
+  const usesEnv = p.lookahead(p.from((env) => env.parser))
+  t.deepEquals(usesEnv._('a', 0, { parser: p.any }),
+    { status: true, index: 0, value: 'a' }, 'passes env')
+
+  const recovering = p.recover(p.string('a'), p.string(';'), () => 'error')
+  t.deepEquals(p.seq([p.lookahead(recovering), recovering])('x;').errors,
+    [{ status: false, index: 0, value: ["'a'"] }],
+    'does not record recovered errors twice')
   t.end()
 })
 
-tape('self-reference', (t) => {
-  const parenOpen = p.string('(')
-  const parenClose = p.string(')')
-  const list = p.fail('defined later')
-  p.replace(list,
-    p.times(p.map(
-      p.seq([parenOpen, list, parenClose]),
-      ([_, x]) => ({ v: x })),
-    0, Infinity))
+tape('notFollowedBy', (t) => {
+  const keyword = p.seq([p.string('if'), p.notFollowedBy(p.regex(/[a-z]/))])
+  parseOk(t, keyword, 'if', ['if', null])
+  parseFail(t, keyword, 'iffy', 2, ["something that is not 'f'"])
+  parseFail(t, p.notFollowedBy(p.token('if')), [{ type: 'if', value: 'if' }],
+    0, ["something that is not 'if'"])
+  parseFail(t, p.notFollowedBy(p.seq([p.any, p.any])), 'ab', 0,
+    ['something that is not \'["a","b"]\''])
+
+  const usesEnv = p.notFollowedBy(p.from((env) => env.parser))
+  t.deepEquals(usesEnv._('a', 0, { parser: p.string('b') }),
+    { status: true, index: 0, value: null }, 'passes env')
+  t.end()
+})
 
-  parseOk(t, list, '()', [{ v: [] }])
-  parseOk(t, list, '()()', [{ v: [] }, { v: [] }])
-  parseOk(t, list, '(())', [{ v: [{ v: [] }] }])
+tape('lookahead and notFollowedBy argument checks', (t) => {
+  t.throws(() => p.lookahead('a'), /Partser.lookahead: Not a parser/)
+  t.throws(() => p.notFollowedBy('a'), /Partser.notFollowedBy: Not a parser/)
   t.end()
 })
 
-tape('formatError', (t) => {
-  {
-    const ab = p.alt([p.string('a'), p.string('b')])
-    const source = 'x'
-    const error = ab(source)
-    t.equals(p.formatError(source, error),
-      "expected one of 'b', 'a' at character 0, got 'x'")
-  }
-  {
-    const ab = p.string('a')
-    const source = ''
-    const error = ab(source)
-    t.equals(p.formatError(source, error),
-      "expected 'a' at character 0, got end of input")
-  }
-  {
-    const ab = p.string('!')
-    const source = 'abcdefghijklmnopqrstuvwxyz'
-    const error = ab(source)
-    t.equals(p.formatError(source, error),
-      "expected '!' at character 0, got 'abcdefghij...'")
-  }
+tape('cut', (t) => {
+  const name = p.regex(/[a-z]+/)
+  const fn = p.seq([p.string('function '), p.cut(name), p.string('()')])
+  const statement = p.alt([fn, p.regex(/[a-z ]+/)])
+
+  parseOk(t, statement, 'function f()', ['function ', 'f', '()'])
+  parseOk(t, statement, 'fun', 'fun')
+  t.deepEquals(statement('function 1()'),
+    { status: false, index: 9, value: ['/[a-z]+/'] },
+    'alt does not try other alternatives after a cut fails')
+  t.deepEquals(statement('function f'),
+    { status: false, index: 10, value: ["'()'"] },
+    'nor after what follows a cut in a seq fails')
+  t.deepEquals(p.alt([p.fail('x'), statement])('function 1()'),
+    { status: false, index: 9, value: ['/[a-z]+/'] },
+    'does not merge with earlier failures')
+  t.deepEquals(p.times(fn, 0, Infinity)('function f()function 1()'),
+    { status: false, index: 21, value: ['/[a-z]+/'] },
+    'times does not stop at a failed cut')
+  t.deepEquals(p.times(fn, 2)('function f()function g('),
+    { status: false, index: 22, value: ["'()'"] })
+  t.deepEquals(
+    p.alt([p.seq([p.cut(name), p.string(' '), p.cut(name)]), p.all])('f '),
+    { status: false, index: 2, value: ['/[a-z]+/'] }, 'several cuts')
+  t.deepEquals(p.seq([p.cut(name), p.fail('x')])('f'),
+    { status: false, index: 1, value: ['x'] },
+    'the committed flag is not returned')
+  parseOk(t, p.cut(name), 'f', 'f')
   t.end()
 })
 
-// To test debug functionality, we have to capture what's logged to the
-// console.  For this, we have to spawn separate processes to run each test,
-// and capture its stdout.
+tape('cut only commits up to the nearest alt', (t) => {
+  const name = p.regex(/[a-z]+/)
+  const fn = p.seq([p.string('function '), p.cut(name), p.string('()')])
+  const statement = p.alt([fn, p.regex(/[a-z ]+/)])
 
-const run = (script, env) => {
-  // Merge the new env over existing process.env, so we keep environment
-  // variables already specified in the environment.
-  env = Object.assign({}, process.env, env)
+  parseOk(t, p.alt([statement, p.all]), 'function 1()', 'function 1()')
+  parseOk(t, p.seq([p.alt([statement, p.succeed(null)]), p.all]), 'function f',
+    [null, 'function f'])
+  parseOk(t, p.seq([p.times(statement, 0, Infinity), p.all]),
+    'function f()function 1()', [[['function ', 'f', '()']], 'function 1()'])
+  t.end()
+})
 
-  const scriptWithImport = `const p = require('.');\n${script}`
-  return spawnSync('node',
-    { input: scriptWithImport, encoding: 'utf-8', env })
-}
+tape('cut inside other parts of a seq', (t) => {
+  const name = p.regex(/[a-z]+/)
+  const keyword = p.cut(p.string('def '))
+  const command = p.seq([p.regex(/[a-z ]+/), p.string('!')])
+  const committedAfter = (start) =>
+    p.alt([p.seq([start, name, p.string('()')]), command])('def f')
+  const expected = { status: false, index: 5, value: ["'()'"] }
+  t.deepEquals(committedAfter(p.map(keyword, (x) => x)), expected, 'map')
+  t.deepEquals(committedAfter(p.desc(keyword, 'def')), expected, 'desc')
+  t.deepEquals(committedAfter(p.seq([keyword])), expected, 'seq')
+  t.deepEquals(committedAfter(p.times(keyword, 1)), expected, 'times')
+  t.deepEquals(committedAfter(p.cut(keyword)), expected, 'cut')
+  t.deepEquals(committedAfter(p.alt([keyword])),
+    { status: false, index: 5, value: ["'!'", "'()'"] }, 'but not alt')
+  t.deepEquals(p.compile(p.alt([
+    p.seq([p.map(p.seq([p.times(keyword, 1)]), (x) => x), name, p.string('()')]),
+    command
+  ]))('def f'), expected, 'compiled')
+  t.end()
+})
 
-tape('debug', (t) => {
-  // First a basic test with colour
-  {
-    const { stdout, stderr, error } = run('p.debug(p.string(\'a\'))(\'a\')', { FORCE_COLOR: 1 })
-    t.equals(error, undefined)
-    t.equals(stderr, '')
-    t.equals(stdout, [
-      `${colour.inverse('a')} 1,1 ${colour.blue('string("a")')} ?`,
-      `${colour.bgGreen('a')} 1,1 ${colour.blue('string("a")')} ${colour.green('OKAY')} ${colour.yellow('"a"')} (len 1)`,
-      ''
-    ].join('\n'))
-  }
-  // Testing highlighting of EOF (appears as highlighted blank space after the input
+tape('compiled cut', (t) => {
+  const name = p.regex(/[a-z]+/)
+  const fn = p.seq([p.string('function '), p.cut(name), p.string('()')])
+  const statement = p.compile(p.seq([
+    p.alt([fn, p.regex(/[a-z ]+/)]),
+    p.alt([p.seq([p.string(';'), p.cut(p.string(' ')), name]), p.all])
+  ]))
+  t.deepEquals(statement('function f'),
+    { status: false, index: 10, value: ["'()'"] })
+  t.deepEquals(statement('function f(); 1'),
+    { status: false, index: 14, value: ['/[a-z]+/'] })
+  parseOk(t, statement, 'fun; x', ['fun', [';', ' ', 'x']])
+  t.throws(() => p.cut('a'), /Partser.cut: Not a parser/)
+  t.end()
+})
+
+tape('cut with leftRec', (t) => {
+  const digit = p.regex(/[0-9]/)
+  const list = p.leftRec(p.seq([
+    p.times(p.from(() => list), 0, 1), p.string('x'), p.cut(digit)
+  ]))
+  parseOk(t, list, 'x1x2', [[[[], 'x', '1']], 'x', '2'])
+  t.deepEquals(list('x1x2x'), { status: false, index: 5, value: ['/[0-9]/'] })
+  t.end()
+})
+
+tape('cut with recover', (t) => {
+  const statement = p.recover(
+    p.seq([p.string('let '), p.cut(p.regex(/[a-z]/)), p.string(';')]),
+    p.string(';'),
+    (failure, skipped) => skipped)
+  const statements = p.times(p.alt([p.string(' '), statement]), 0, Infinity)
+  t.deepEquals(statements('let 1; let a;'), {
+    status: true,
+    index: 13,
+    value: ['let 1;', ' ', ['let ', 'a', ';']],
+    errors: [{ status: false, index: 4, value: ['/[a-z]/'] }]
+  })
+  t.end()
+})
+
+tape('recover', (t) => {
+  const statement = p.map(
+    p.seq([p.regex(/[a-z]+/), p.string(';')]),
+    ([word]) => word)
+  const recovering = p.recover(statement, p.string(';'),
+    (failure, skipped, env) => ({ failure, skipped, env }))
+  const statements = p.times(recovering, 0, Infinity)
+
+  parseOk(t, statements, 'a;b;', ['a', 'b'])
+  t.deepEquals(statements('a;2;c', 'ENV'), {
+    status: true,
+    index: 5,
+    value: [
+      'a',
+      {
+        failure: { status: false, index: 2, value: ['/[a-z]+/'] },
+        skipped: '2;',
+        env: 'ENV'
+      },
+      {
+        failure: { status: false, index: 5, value: ["';'"] },
+        skipped: 'c',
+        env: 'ENV'
+      }
+    ],
+    errors: [
+      { status: false, index: 2, value: ['/[a-z]+/'] },
+      { status: false, index: 5, value: ["';'"] }
+    ]
+  }, 'records errors and skips to after sync point or end of input')
+
+  parseFail(t, recovering, '', 0, ['/[a-z]+/'])
+
+  t.deepEquals(recovering._('2;', 0), {
+    status: true,
+    index: 2,
+    value: {
+      failure: { status: false, index: 0, value: ['/[a-z]+/'] },
+      skipped: '2;',
+      env: undefined
+    }
+  }, 'works outside of a top-level call')
+  t.end()
+})
+
+tape('recover errors are dropped when backtracking', (t) => {
+  const recovering = p.recover(p.string('a'), p.string(';'),
+    (failure, skipped) => skipped)
+  const parser = p.alt([
+    p.seq([recovering, p.string('!')]),
+    p.seq([recovering, p.string('?')]),
+    p.seq([p.string('x;'), p.string('?')])
+  ])
+  t.deepEquals(parser('x;!'), {
+    status: true,
+    index: 3,
+    value: ['x;', '!'],
+    errors: [{ status: false, index: 0, value: ["'a'"] }]
+  })
+  t.deepEquals(parser('x;?'), {
+    status: true,
+    index: 3,
+    value: ['x;', '?'],
+    errors: [{ status: false, index: 0, value: ["'a'"] }]
+  })
+
+  // Sync parsers' own errors aren't recorded either
+  const innerRecovering = p.recover(p.string('b'), p.string('!'),
+    () => 'inner')
+  const outerRecovering = p.recover(p.string('a'), innerRecovering,
+    (failure, skipped) => skipped)
+  t.deepEquals(outerRecovering('xb'), {
+    status: true,
+    index: 2,
+    value: 'xb',
+    errors: [{ status: false, index: 0, value: ["'a'"] }]
+  })
+  t.end()
+})
+
+tape('recover with memo and leftRec', (t) => {
+  const item = p.memo(p.recover(p.regex(/[0-9]/), p.string(','),
+    (failure, skipped) => 'bad'))
+  const list = p.leftRec(p.from(() => p.alt([
+    p.map(p.seq([list, item]), ([left, right]) => left.concat([right])),
+    p.map(item, (x) => [x])
+  ])))
+  const parser = p.alt([p.seq([list, p.string('!')]), list])
+  t.deepEquals(parser('1x,2y,3'), {
+    status: true,
+    index: 7,
+    value: ['1', 'bad', '2', 'bad', '3'],
+    errors: [
+      { status: false, index: 1, value: ['/[0-9]/'] },
+      { status: false, index: 4, value: ['/[0-9]/'] }
+    ]
+  })
+  t.end()
+})
+
+//
+// Incremental parsing
+//
+
+// Makes a debug handler that just lists what was reused.
+const reuseRecorder = () => {
+  const reused = []
+  return {
+    reused,
+    enter: () => {},
+    exit: () => {},
+    reuse: (parser, input, index, env, result) => {
+      reused.push([parser.displayName, index, result.status, result.index])
+    }
+  }
+}
+
+tape('reparse', (t) => {
+  const line = p.memo(p.regex(/[a-z]*\n/))
+  const handler = reuseRecorder()
+  const lines = p.debug(p.times(line, 0, Infinity), handler)
+
+  const first = lines('one\ntwo\nthree\n', undefined, 0, { incremental: true })
+  t.deepEquals(first, {
+    status: true,
+    index: 14,
+    value: ['one\n', 'two\n', 'three\n']
+  })
+  t.deepEquals(handler.reused, [])
+
+  const second = p.reparse(first, 4, 3, 'seven')
+  t.deepEquals(second, {
+    status: true,
+    index: 16,
+    value: ['one\n', 'seven\n', 'three\n']
+  })
+  t.deepEquals(handler.reused, [
+    ['regex(/[a-z]*\\n/, 0)', 0, true, 4],
+    ['regex(/[a-z]*\\n/, 0)', 10, true, 16],
+    ['regex(/[a-z]*\\n/, 0)', 16, false, 16]
+  ], 'reuses results before and after the edit')
+
+  handler.reused.length = 0
+  const third = p.reparse(second, 16, 0, 'x')
+  t.deepEquals(third, {
+    status: false,
+    index: 16,
+    value: ['EOF']
+  })
+  t.deepEquals(handler.reused, [
+    ['regex(/[a-z]*\\n/, 0)', 0, true, 4],
+    ['regex(/[a-z]*\\n/, 0)', 4, true, 10],
+    ['regex(/[a-z]*\\n/, 0)', 10, true, 16],
+    ['regex(/[a-z]*\\n/, 0)', 16, false, 16]
+  ], 'reparses the reparsed, including what it reused')
+
+  handler.reused.length = 0
+  const fourth = p.reparse(third, 16, 1, '')
+  t.deepEquals(fourth, second)
+  t.deepEquals(handler.reused, [
+    ['regex(/[a-z]*\\n/, 0)', 0, true, 4],
+    ['regex(/[a-z]*\\n/, 0)', 4, true, 10],
+    ['regex(/[a-z]*\\n/, 0)', 10, true, 16],
+    ['regex(/[a-z]*\\n/, 0)', 16, false, 16]
+  ], 'reparses after a failure')
+  t.end()
+})
+
+tape('reparse checks results that depend on position', (t) => {
+  const word = p.memo(p.seq([p.index, p.regex(/[a-z]+ /), p.lcIndex]))
+  const handler = reuseRecorder()
+  const words = p.debug(p.times(word, 0, Infinity), handler)
+
+  const first = words('a b\n', undefined, 0, { incremental: true })
+  t.deepEquals(first.status, false)
+
+  const second = p.reparse(first, 3, 1, ' ')
+  t.deepEquals(second, {
+    status: true,
+    index: 4,
+    value: [
+      [0, 'a ', { offset: 2, line: 1, column: 3 }],
+      [2, 'b ', { offset: 4, line: 1, column: 5 }]
+    ]
+  })
+  t.deepEquals(handler.reused.map(([name, index]) => index), [0],
+    'reuses the result before the edit')
+
+  handler.reused.length = 0
+  const third = p.reparse(second, 0, 0, 'x')
+  t.deepEquals(third.value, [
+    [0, 'xa ', { offset: 3, line: 1, column: 4 }],
+    [3, 'b ', { offset: 5, line: 1, column: 6 }]
+  ])
+  t.deepEquals(handler.reused, [], 'does not reuse moved results')
+
+  handler.reused.length = 0
+  const fourth = p.reparse(third, 0, 1, 'y')
+  t.deepEquals(fourth.value, [
+    [0, 'ya ', { offset: 3, line: 1, column: 4 }],
+    [3, 'b ', { offset: 5, line: 1, column: 6 }]
+  ])
+  t.deepEquals(handler.reused.map(([name, index]) => index), [3, 5],
+    'reuses same-length edits')
+  t.end()
+})
+
+tape('reparse with lines changing before a result', (t) => {
+  const word = p.memo(p.seq([p.regex(/[a-z]/), p.lcIndex]))
+  const handler = reuseRecorder()
+  const words = p.debug(p.times(p.alt([word, p.regex(/\s/)]), 0, Infinity),
+    handler)
+
+  const first = words('a b', undefined, 0, { incremental: true })
+  t.deepEquals(first.value, [
+    ['a', { offset: 1, line: 1, column: 2 }],
+    ' ',
+    ['b', { offset: 3, line: 1, column: 4 }]
+  ])
+  const second = p.reparse(first, 1, 1, '\n')
+  t.deepEquals(second.value, [
+    ['a', { offset: 1, line: 1, column: 2 }],
+    '\n',
+    ['b', { offset: 3, line: 2, column: 2 }]
+  ])
+  t.deepEquals(handler.reused.map(([name, index, status]) => [index, status]),
+    [[0, true], [1, false], [3, false]],
+    'does not reuse results whose line changed')
+  t.end()
+})
+
+tape('reparse does not reuse p.custom results', (t) => {
+  const char = p.memo(p.custom((input, i) =>
+    i < input.length
+      ? { status: true, index: i + 1, value: input[i] }
+      : { status: false, index: i, value: ['a character'] }))
+  const handler = reuseRecorder()
+  const chars = p.debug(p.times(char, 0, Infinity), handler)
+
+  const first = chars('ab', undefined, 0, { incremental: true })
+  const second = p.reparse(first, 2, 0, 'c')
+  t.deepEquals(second.value, ['a', 'b', 'c'])
+  t.deepEquals(handler.reused, [])
+  t.end()
+})
+
+tape('reparse does not reuse results of parsers made without a shape', (t) => {
+  const char = p.memo(p.Parser('char', (input, i) =>
+    i < input.length
+      ? { status: true, index: i + 1, value: input[i] }
+      : { status: false, index: i, value: ['a character'] }))
+  const handler = reuseRecorder()
+  const chars = p.debug(p.times(char, 0, Infinity), handler)
+
+  const first = chars('ab', undefined, 0, { incremental: true })
+  const second = p.reparse(first, 2, 0, 'c')
+  t.deepEquals(second.value, ['a', 'b', 'c'])
+  t.deepEquals(handler.reused, [])
+  t.end()
+})
+
+tape('reparse only runs regexes again', (t) => {
+  let tests = 0
+  const letter = p.test((x) => {
+    tests += 1
+    return /[a-z]/.test(x)
+  })
+  const word = p.memo(p.times(letter, 1, Infinity))
+  const words = p.times(p.alt([word, p.string(' ')]), 0, Infinity)
+
+  const first = words('ab cd ef', undefined, 0, { incremental: true })
+  tests = 0
+  const second = p.reparse(first, 4, 0, 'x')
+  t.deepEquals(second.value,
+    [['a', 'b'], ' ', ['c', 'x', 'd'], ' ', ['e', 'f']])
+  t.equals(tests, 4, 'only tests the letters of the edited word')
+  t.end()
+})
+
+tape('reparse keeps memory bounded over many edits', (t) => {
+  // In a separate process, where garbage collection can be forced.
+  const { stdout, stderr } = spawnSync('node', ['--expose-gc'], {
+    encoding: 'utf-8',
+    input: `
+      const p = require('.')
+      const parser = p.times(p.memo(p.regex(/[a-z ]*\\n/)), 0, Infinity)
+      let result = parser('some words\\n'.repeat(800), undefined, 0,
+        { incremental: true })
+      const heapAfterEdits = (count) => {
+        for (let n = 0; n < count; ++n) {
+          result = p.reparse(result, 4000, 1, n % 2 ? 'x' : 'y')
+        }
+        global.gc()
+        return process.memoryUsage().heapUsed
+      }
+      const before = heapAfterEdits(50)
+      console.log(result.status, heapAfterEdits(250) - before < 5e6)
+    `
+  })
+  t.equals(stderr, '')
+  t.equals(stdout, 'true true\n')
+  t.end()
+})
+
+tape('reparse with p.recover', (t) => {
+  const statement = p.memo(p.recover(
+    p.seq([p.regex(/[a-z]/), p.string(';')]),
+    p.string(';'),
+    (failure, skipped) => skipped))
+  const handler = reuseRecorder()
+  const statements = p.debug(p.times(statement, 0, Infinity), handler)
+
+  const first = statements('a;1;b;', undefined, 0, { incremental: true })
+  t.deepEquals(first.errors, [{ status: false, index: 2, value: ['/[a-z]/'] }])
+
+  const second = p.reparse(first, 6, 0, 'c;')
+  t.deepEquals(second.value, [['a', ';'], '1;', ['b', ';'], ['c', ';']])
+  t.deepEquals(second.errors, first.errors)
+  t.deepEquals(handler.reused.map(([name, index]) => index), [0, 2, 4, 8])
+
+  handler.reused.length = 0
+  const third = p.reparse(second, 0, 0, 'x;')
+  t.deepEquals(third.value,
+    [['x', ';'], ['a', ';'], '1;', ['b', ';'], ['c', ';']])
+  t.deepEquals(third.errors, [{ status: false, index: 4, value: ['/[a-z]/'] }])
+  t.deepEquals(handler.reused.map(([name, index]) => index), [2, 6, 8, 10],
+    'does not reuse moved recovered errors')
+
+  // Recovery without a sync point depends on where the input ends.
+  const item = p.memo(p.recover(p.string('x'), p.string(';'),
+    (failure, skipped) => ({ skipped })))
+  const items = p.times(item, 0, Infinity)
+  const appended = p.reparse(items('ab', undefined, 0, { incremental: true }),
+    2, 0, 'c')
+  t.deepEquals(appended.value, [{ skipped: 'abc' }])
+  t.deepEquals(appended.errors, items('abc').errors)
+  t.end()
+})
+
+tape('reparse with nested p.memo', (t) => {
+  const letter = p.memo(p.regex(/[a-z]/))
+  const word = p.memo(p.times(letter, 1, Infinity))
+  const handler = reuseRecorder()
+  const words = p.debug(
+    p.times(p.alt([p.seq([word, p.string('!')]), word, p.string(' ')]),
+      0, Infinity),
+    handler)
+  const first = words('ab cd', undefined, 0, { incremental: true })
+  const second = p.reparse(first, 5, 0, '!')
+  t.deepEquals(second.value, [['a', 'b'], ' ', [['c', 'd'], '!']])
+  t.deepEquals(handler.reused.map(([name, index]) => [name, index]), [
+    ['times(1,Infinity)', 0],
+    ['times(1,Infinity)', 2],
+    ['times(1,Infinity)', 3],
+    ['times(1,Infinity)', 6]
+  ])
+
+  handler.reused.length = 0
+  const third = p.reparse(second, 1, 0, 'xy')
+  t.deepEquals(third.value, [['a', 'x', 'y', 'b'], ' ', [['c', 'd'], '!']])
+  t.deepEquals(handler.reused.map(([name, index]) => [name, index]), [
+    ['times(1,Infinity)', 4],
+    ['times(1,Infinity)', 5],
+    ['times(1,Infinity)', 8]
+  ], 'reuses nothing inside the inserted text')
+  t.end()
+})
+
+tape('reparse argument checks', (t) => {
+  const parser = p.string('a')
+  t.throws(() => p.reparse(parser('a'), 0, 0, 'a'),
+    /Partser.reparse: Not a result of an incremental parse/)
+  const result = parser('a', undefined, 0, { incremental: true })
+  t.throws(() => p.reparse(result, '0', 0, 'a'), TypeError)
+  t.throws(() => p.reparse(result, 0, 0, 1), TypeError)
+  t.end()
+})
+
+//
+// Async parsing
+//
+
+const later = (value) =>
+  new Promise((resolve) => setTimeout(() => resolve(value), 1))
+
+tape('parseAsync', async (t) => {
+  const digit = p.regex(/[0-9]/)
+  const parser = p.seq([
+    p.custom((input, i) => later({ status: true, index: i + 1, value: 'c' })),
+    p.from((env) => later(env.digit)),
+    p.chain(digit, (x) => later(p.string(x)))
+  ])
+  t.deepEquals(await p.parseAsync(parser, 'x111', { digit }),
+    { status: true, index: 4, value: ['c', '1', '1'] })
+  t.deepEquals(await p.parseAsync(parser, 'x112', { digit }),
+    { status: false, index: 3, value: ["'1'"] })
+  t.deepEquals(await p.parseAsync(parser, '--x111', { digit }, 2),
+    { status: true, index: 6, value: ['c', '1', '1'] }, 'offset')
+  t.deepEquals(await p.parseAsync(p.string('a'), 'a'),
+    { status: true, index: 1, value: 'a' }, 'sync parsers')
+})
+
+tape('parseAsync callbacks are called again', async (t) => {
+  const calls = []
+  const parser = p.times(p.custom((input, i) => {
+    calls.push(i)
+    if (i >= input.length) return { status: false, index: i, value: ['x'] }
+    const result = { status: true, index: i + 1, value: input[i] }
+    return i === 1 ? later(result) : result
+  }), 0, Infinity)
+  t.deepEquals(await p.parseAsync(parser, 'abc'),
+    { status: true, index: 3, value: ['a', 'b', 'c'] })
+  t.deepEquals(calls, [0, 1, 2, 3],
+    'except those that returned promises, or finished before one did')
+})
+
+tape('parseAsync resumes where it waited', async (t) => {
+  let mapped = 0
+  const item = p.map(
+    p.custom((input, i) => i < input.length
+      ? later({ status: true, index: i + 1, value: input[i] })
+      : { status: false, index: i, value: ['x'] }),
+    (x) => { mapped += 1; return x })
+  t.deepEquals(await p.parseAsync(p.times(item, 0, Infinity), 'abcdef'),
+    { status: true, index: 6, value: ['a', 'b', 'c', 'd', 'e', 'f'] })
+  t.equals(mapped, 6, 'finished parsers are not run again')
+
+  // Callbacks get their own settled values, even when `p.memo` answers some
+  // calls without calling them.
+  const calls = []
+  const tagged = (tag) => p.custom((input, i) => {
+    calls.push(tag + i)
+    return later({ status: true, index: i + 1, value: tag + input[i] })
+  })
+  const x = tagged('x')
+  const parser = p.seq([
+    p.alt([
+      p.seq([p.memo(x), p.string('!')]),
+      p.seq([p.memo(x), p.string('?'), tagged('y')])
+    ]),
+    tagged('z')
+  ])
+  t.deepEquals(await p.parseAsync(parser, 'a?bc'),
+    { status: true, index: 4, value: [['xa', '?', 'yb'], 'zc'] })
+  t.deepEquals(calls, ['x0', 'y2', 'z3'])
+})
+
+tape('parseAsync through user code', async (t) => {
+  const letter = p.custom((input, i) => i < input.length
+    ? later({ status: true, index: i + 1, value: input[i] })
+    : { status: false, index: i, value: ['a letter'] })
+
+  const guarded = p.custom((input, i, env) => {
+    try {
+      return letter._(input, i, env)
+    } catch (e) {
+      return { status: false, index: i, value: ['no error'] }
+    }
+  })
+  t.deepEquals(await p.parseAsync(p.seq([guarded, guarded]), 'ab'),
+    { status: true, index: 2, value: ['a', 'b'] }, 'catching errors')
+
+  const letters = p.times(letter, 0, Infinity)
+  const nested = p.custom((input, i, env) => {
+    const result = letters(input.slice(i), env)
+    return { status: true, index: input.length, value: result.value }
+  })
+  t.deepEquals(await p.parseAsync(nested, 'abc'),
+    { status: true, index: 3, value: ['a', 'b', 'c'] }, 'nested calls')
+})
+
+tape('parseAsync errors', async (t) => {
+  t.throws(() => p.parseAsync('a'), /Partser.parseAsync: Not a parser/)
+
+  const rejecting = p.from(() => Promise.reject(new Error('no such file')))
+  try {
+    await p.parseAsync(rejecting, 'a')
+    t.fail('should reject')
+  } catch (e) {
+    t.equals(e.message, 'no such file')
+  }
+
+  const notParser = p.from(() => later('a'))
+  try {
+    await p.parseAsync(notParser, 'a')
+    t.fail('should reject')
+  } catch (e) {
+    t.match(e.message, /Not a parser/)
+  }
+})
+
+tape('parseAsync options', async (t) => {
+  const slow = p.custom((input, i) =>
+    new Promise((resolve) => setTimeout(() =>
+      resolve({ status: true, index: i + 1, value: input[i] }), 20)))
+  const result = await p.parseAsync(p.times(slow, 0, Infinity), 'abcdef',
+    undefined, 0, { timeout: 30 })
+  t.equals(result.aborted, 'timeout', 'timeout is for the whole parse')
+
+  const signal = { aborted: false }
+  const cancelled = p.parseAsync(p.times(slow, 0, Infinity), 'abcdef',
+    undefined, 0, { signal })
+  signal.aborted = true
+  t.deepEquals(await cancelled,
+    { status: false, index: 0, value: [], aborted: 'signal' })
+
+  const incremental = await p.parseAsync(p.string('a'), 'a', undefined, 0,
+    { incremental: true })
+  t.throws(() => p.reparse(incremental, 0, 1, 'b'),
+    /Partser.reparse: Not a result of an incremental parse/,
+    "can't be reparsed")
+})
+
+//
+// Streams
+//
+
+tape('stream', (t) => {
+  const line = p.seq([p.lcIndex, p.regex(/[a-z]*/), p.string('\n')])
+  const stream = p.stream(line)
+  t.deepEquals(stream.write('ab'), { status: true, index: 0, value: [] })
+  t.deepEquals(stream.write('c\nde'), {
+    status: true,
+    index: 4,
+    value: [[{ offset: 0, line: 1, column: 1 }, 'abc', '\n']]
+  })
+  t.deepEquals(stream.write('\n\n'), {
+    status: true,
+    index: 8,
+    value: [
+      [{ offset: 4, line: 2, column: 1 }, 'de', '\n'],
+      [{ offset: 7, line: 3, column: 1 }, '', '\n']
+    ]
+  })
+  t.deepEquals(stream.end(), { status: true, index: 8, value: [] })
+  t.throws(() => stream.write('a'),
+    /Partser.stream: Can't write after the stream has ended or failed/)
+  t.end()
+})
+
+tape('stream positions within a line', (t) => {
+  const word = p.seq([p.index, p.lcIndex, p.regex(/[a-z]+ /)])
+  const stream = p.stream(word)
+  t.deepEquals(stream.write('ab cd '), {
+    status: true,
+    index: 3,
+    value: [[0, { offset: 0, line: 1, column: 1 }, 'ab ']]
+  }, 'waits in case the last match continues')
+  t.deepEquals(stream.end(), {
+    status: true,
+    index: 6,
+    value: [[3, { offset: 3, line: 1, column: 4 }, 'cd ']]
+  })
+  t.end()
+})
+
+tape('stream waits for input that could change the result', (t) => {
+  // These all succeed or fail differently if more input arrives.
+  const stream = p.stream(p.alt([
+    p.seq([p.string('a'), p.eof]),
+    p.seq([p.string('b'), p.any]),
+    p.seq([p.string('c'), p.test((x) => x === '!')]),
+    p.seq([p.string('d'), p.all]),
+    p.string('eee'),
+    p.regex(/f+/),
+    p.string(' ')
+  ]))
+  for (const chunk of ['a', 'b', 'c', 'd', 'ee', 'ff']) {
+    t.deepEquals(stream.write(chunk), { status: true, index: 0, value: [] },
+      `waits after ${chunk}`)
+  }
+  const last = p.stream(p.seq([p.string('e'), p.eof]))
+  t.deepEquals(last.write('e'), { status: true, index: 0, value: [] })
+  t.deepEquals(last.end(), { status: true, index: 1, value: [['e', null]] })
+  t.end()
+})
+
+tape('stream regex lookahead', (t) => {
+  const parser = p.alt([p.regex(/[0-9]+/), p.string(' ')])
+  const stream = p.stream(parser, undefined, { lookahead: 3 })
+  t.deepEquals(stream.write('12 3'),
+    { status: true, index: 2, value: ['12'] },
+    'waits until lookahead is available for failures')
+  t.deepEquals(stream.write('4 x'),
+    { status: true, index: 5, value: [' ', '34'] })
+  t.deepEquals(stream.write('yz'),
+    { status: false, index: 6, value: ["' '", '/[0-9]+/'] })
+  t.throws(() => stream.end(),
+    /Partser.stream: Can't end after the stream has ended or failed/)
+  t.end()
+})
+
+tape('stream with p.recover', (t) => {
+  const statement = p.recover(
+    p.seq([p.regex(/[a-z]/), p.string(';')]),
+    p.string(';'),
+    (failure, skipped) => skipped)
+  const stream = p.stream(statement, undefined, { lookahead: 1 })
+  t.deepEquals(stream.write('a;'),
+    { status: true, index: 2, value: [['a', ';']] })
+  t.deepEquals(stream.write('1;b;'), {
+    status: true,
+    index: 6,
+    value: ['1;', ['b', ';']],
+    errors: [{ status: false, index: 2, value: ['/[a-z]/'] }]
+  })
+
+  // The sync point may be in a later chunk.
+  const split = p.stream(statement, undefined, { lookahead: 1 })
+  t.deepEquals(split.write('a;12'),
+    { status: true, index: 2, value: [['a', ';']] })
+  t.deepEquals(split.write('34;a;'), {
+    status: true,
+    index: 9,
+    value: ['1234;', ['a', ';']],
+    errors: [{ status: false, index: 2, value: ['/[a-z]/'] }]
+  })
+  t.end()
+})
+
+tape('stream argument checks', (t) => {
+  t.throws(() => p.stream('a'), TypeError)
+  t.throws(() => p.stream(p.string('a'), undefined, { lookahead: '1' }),
+    TypeError)
+  t.throws(() => p.stream(p.string('a')).write(1),
+    /Partser.stream write: Not a string/)
+  t.throws(() => p.stream(p.string('a')).end(1),
+    /Partser.stream end: Not a string/)
+  t.end()
+})
+
+tape('stream fails on an empty item', (t) => {
+  const stream = p.stream(p.regex(/a*/))
+  t.deepEquals(stream.write('aa'), { status: true, index: 0, value: [] })
+  t.deepEquals(stream.write('b'),
+    { status: false, index: 2, value: ['regex(/a*/, 0) to consume input'] })
+  t.throws(() => stream.end(),
+    /Partser.stream: Can't end after the stream has ended or failed/)
+  t.end()
+})
+
+tape('stream limits', (t) => {
+  const letters = p.times(p.regex(/[a-z]/), 0, Infinity)
+  const item = p.seq([letters, p.string(';')])
+  t.deepEquals(p.stream(item, undefined, { maxSteps: 10 }).end('ab;abc;'),
+    { status: true, index: 7, value: [[['a', 'b'], ';'], [['a', 'b', 'c'], ';']] },
+    'for each item')
+  const stream = p.stream(item, undefined, { maxSteps: 10 })
+  t.deepEquals(stream.end('ab;abcdefgh;'),
+    { status: false, index: 11, value: [], aborted: 'maxSteps' })
+  t.throws(() => stream.end(), /Can't end after the stream has ended or failed/)
+  t.deepEquals(
+    p.stream(item, undefined, { signal: { aborted: true } }).write('ab'),
+    { status: false, index: 0, value: [], aborted: 'signal' },
+    'even if the item was waiting for more input')
+  t.end()
+})
+
+//
+// Token arrays
+//
+
+const tokens = [
+  { type: 'number', value: '1' },
+  { type: 'operator', value: '+' },
+  { type: 'number', value: '23' }
+]
+
+tape('token', (t) => {
+  const parser = p.seq([p.token('number'), p.token('operator'),
+    p.token('number')])
+  parseOk(t, parser, tokens, tokens)
+  parseFail(t, p.token('operator'), tokens, 0,
+    ['a token of type "operator"'])
+  parseFail(t, p.token('number'), [], 0, ['a token of type "number"'])
+  parseFail(t, p.token('number'), [null], 0, ['a token of type "number"'])
+  t.throws(() => p.token(1), /Partser.token: Not a string/)
+  t.end()
+})
+
+tape('primitives with token arrays', (t) => {
+  parseOk(t, p.times(p.any, 3), tokens, tokens)
+  parseFail(t, p.any, [], 0, ['any token'])
+  parseOk(t, p.all, tokens, tokens)
+  parseOk(t, p.eof, [], null)
+  parseFail(t, p.eof, tokens, 0, ['EOF'])
+
+  const isOperator = (token) => token.type === 'operator'
+  parseOk(t, p.seq([p.any, p.test(isOperator), p.any]), tokens, tokens)
+  parseFail(t, p.test(isOperator), tokens, 0,
+    [`a token matching ${isOperator}`])
+
+  parseOk(t, p.seq([p.any, p.mark(p.any), p.index, p.any]), tokens,
+    [tokens[0], { start: 1, value: tokens[1], end: 2 }, 2, tokens[2]])
+  t.end()
+})
+
+tape('string primitives reject token arrays', (t) => {
+  t.throws(() => p.string('1')(tokens),
+    /Partser.string: Not a string input: \[object Array\]/)
+  t.throws(() => p.regex(/1/)(tokens),
+    /Partser.regex: Not a string input: \[object Array\]/)
+  t.throws(() => p.lcIndex(tokens),
+    /Partser.lcIndex: Not a string input: \[object Array\]/)
+  t.end()
+})
+
+tape('lexing and then parsing tokens', (t) => {
+  const lexer = p.times(p.alt([
+    p.map(p.regex(/\d+/), (value) => ({ type: 'number', value })),
+    p.map(p.regex(/[+-]/), (value) => ({ type: 'operator', value }))
+  ]), 0, Infinity)
+  const number = p.map(p.token('number'), ({ value }) => Number(value))
+  const sum = p.leftRec(p.alt([
+    p.map(p.seq([p.from(() => sum), p.token('operator'), number]),
+      ([a, { value }, b]) => value === '+' ? a + b : a - b),
+    number
+  ]))
+
+  const lexed = lexer('1+23-4')
+  t.deepEquals(sum(lexed.value), { status: true, index: 5, value: 20 })
+  t.end()
+})
+
+tape('formatError with token arrays', (t) => {
+  t.equals(p.formatError(tokens, p.token('operator')(tokens)),
+    'expected a token of type "operator" at token 0, got \'1\'')
+  t.equals(p.formatError(tokens, p.times(p.any, 4)(tokens)),
+    'expected any token at token 3, got end of input')
+  const odd = [{ type: 'x' }, 'y']
+  t.equals(p.formatError(odd, p.token('y')(odd)),
+    'expected a token of type "y" at token 0, got \'{"type":"x"}\'')
+  t.equals(p.formatError(odd, p.seq([p.any, p.token('y')])(odd)),
+    'expected a token of type "y" at token 1, got \'y\'')
+  t.end()
+})
+
+tape('reparse with token arrays', (t) => {
+  const parser = p.times(p.memo(p.token('number')), 0, Infinity)
+  const numbers = [tokens[0], tokens[2]]
+  const first = parser(numbers, undefined, 0, { incremental: true })
+  const second = p.reparse(first, 1, 0, [tokens[0]])
+  t.deepEquals(second,
+    { status: true, index: 3, value: [tokens[0], tokens[0], tokens[2]] })
+  t.throws(() => p.reparse(first, 1, 0, '1'), /Partser.reparse: Not an? array/)
+  t.end()
+})
+
+//
+// Binary input
+//
+
+tape('take', (t) => {
+  parseOk(t, p.take(2), 'ab', 'ab')
+  parseOk(t, p.take(2), tokens.slice(1), tokens.slice(1))
+  parseOk(t, p.take(0), [], [])
+  parseFail(t, p.take(2), 'a', 0, ['2 characters'])
+  parseFail(t, p.take(1), [], 0, ['1 token'])
+  parseFail(t, p.take(3), Buffer.from([1]), 0, ['3 bytes'])
+  t.throws(() => p.take('1'), /Partser.take: Not a number/)
+  t.end()
+})
+
+tape('byte and bytes', (t) => {
+  const input = Uint8Array.from([0x50, 0x4b, 0x03])
+  parseOk(t, p.seq([p.bytes([0x50, 0x4b]), p.byte(3)]), input,
+    [Uint8Array.from([0x50, 0x4b]), 3])
+  parseOk(t, p.seq([p.bytes(Buffer.from('PK')), p.any]), input,
+    [Uint8Array.from([0x50, 0x4b]), 3])
+  parseFail(t, p.byte(0x51), input, 0, ['byte 0x51'])
+  parseFail(t, p.bytes([0x50, 0x4c]), input, 0, ['bytes <50 4c>'])
+  parseFail(t, p.bytes([1, 2, 3, 4]), input, 0, ['bytes <01 02 03 04>'])
+  parseFail(t, p.any, new Uint8Array(0), 0, ['any byte'])
+  parseFail(t, p.test((x) => x > 0x50), input, 0,
+    ['a byte matching (x) => x > 0x50'])
+
+  t.throws(() => p.byte('a'), /Partser.byte: Not a number/)
+  t.throws(() => p.bytes('a'), /Partser.bytes: Not an? array/)
+  t.throws(() => p.byte(0x61)('a'),
+    /Partser.byte: Not a binary input: \[object String\]/)
+  t.throws(() => p.bytes([0x61])([0x61]),
+    /Partser.bytes: Not a binary input: \[object Array\]/)
+  t.throws(() => p.string('a')(Buffer.from('a')),
+    /Partser.string: Not a string input/)
+  t.end()
+})
+
+tape('binary numbers', (t) => {
+  const input = Buffer.from([0xff, 0xfe, 0x3f, 0x80, 0x00, 0x00, 0, 0, 0, 1])
+  parseOk(t, p.times(p.uint(8), 2), input.subarray(0, 2), [0xff, 0xfe])
+  parseOk(t, p.int(8), input.subarray(0, 1), -1)
+  parseOk(t, p.uint(16, 'big'), input.subarray(0, 2), 0xfffe)
+  parseOk(t, p.uint(16, 'little'), input.subarray(0, 2), 0xfeff)
+  parseOk(t, p.int(16, 'big'), input.subarray(0, 2), -2)
+  parseOk(t, p.uint(32, 'little'), input.subarray(6, 10), 0x01000000)
+  parseOk(t, p.int(32, 'big'), input.subarray(6, 10), 1)
+  parseOk(t, p.uint(64, 'big'), input.subarray(2, 10), 0x3f80000000000001n)
+  parseOk(t, p.int(64, 'little'), input.subarray(2, 10), 0x010000000000803fn)
+  parseOk(t, p.float(32, 'big'), input.subarray(2, 6), 1)
+  parseOk(t, p.float(64, 'little'), Buffer.from('000000000000f03f', 'hex'), 1)
+
+  parseFail(t, p.uint(32, 'big'), input.subarray(0, 3), 0,
+    ['a 32-bit big-endian unsigned integer'])
+  parseFail(t, p.int(8), new Uint8Array(0), 0, ['an 8-bit signed integer'])
+  parseFail(t, p.float(64, 'little'), input.subarray(0, 3), 0,
+    ['a 64-bit little-endian floating point number'])
+
+  t.throws(() => p.uint(12, 'big'),
+    /Partser.uint: Not a width of 8, 16, 32 or 64 bits/)
+  t.throws(() => p.float(16, 'big'),
+    /Partser.float: Not a width of 32 or 64 bits/)
+  t.throws(() => p.int(16),
+    /Partser.int: Not a byte order \("big" or "little"\)/)
+  t.throws(() => p.uint(16, 'big')([0, 1]),
+    /Partser.uint: Not a binary input/)
+  t.end()
+})
+
+tape('length-prefixed binary fields', (t) => {
+  const input = Buffer.from([0, 3, 0x61, 0x62, 0x63, 2])
+  const field = p.chain(p.uint(16, 'big'), (length) => p.take(length))
+  const fromEnv = p.from((env) => p.take(env.length))
+  parseOk(t, p.seq([field, p.any]), input, [Buffer.from('abc'), 2])
+  t.deepEquals(fromEnv(input.subarray(2, 5), { length: 3 }),
+    { status: true, index: 3, value: Buffer.from('abc') })
+  parseFail(t, field, input.subarray(0, 4), 2, ['3 bytes'])
+  t.end()
+})
+
+tape('formatError with binary input', (t) => {
+  const input = Buffer.from([0x50, 0x4b])
+  t.equals(p.formatError(input, p.byte(0x4b)(input)),
+    'expected byte 0x4b at byte 0, got 0x50')
+  t.equals(p.formatError(input, p.take(3)(input)),
+    'expected 3 bytes at byte 0, got 0x50')
+  t.end()
+})
+
+tape('reparse with binary input', (t) => {
+  const parser = p.times(p.memo(p.uint(16, 'big')), 0, Infinity)
+  const first = parser(Buffer.from([0, 1, 0, 2]), undefined, 0,
+    { incremental: true })
+  const second = p.reparse(first, 2, 0, Buffer.from([1, 0]))
+  t.deepEquals(second, { status: true, index: 6, value: [1, 256, 2] })
+  t.throws(() => p.reparse(first, 2, 0, [1, 0]),
+    /Partser.reparse: Not a binary input/)
+  const big = p.times(p.memo(p.uint(64, 'big')), 0, Infinity)
+  const third = big(new Uint8Array(8), undefined, 0, { incremental: true })
+  t.deepEquals(p.reparse(third, 8, 0, new Uint8Array(8)).value, [0n, 0n],
+    'reuses BigInt values')
+  t.end()
+})
+
+//
+// Grammars
+//
+
+tape('grammar', (t) => {
+  const { Sum } = p.grammar(`
+    # Arithmetic, with the usual precedence
+    Sum     <- Product ('+' Product)* {sum}
+    Product <- Value ('*' Value)*     {product}
+    Value   <- Number / '(' Sum ')'   {paren}
+    Number  <- [0-9]+
+  `, {
+    sum: ([first, rest]) => rest.reduce((a, [, b]) => a + b, first),
+    product: ([first, rest]) => rest.reduce((a, [, b]) => a * b, first),
+    paren: ([, x]) => x,
+    Number: (digits) => Number(digits.join(''))
+  })
+  parseOk(t, Sum, '2*(3+4)+1', 15)
+  parseFail(t, Sum, '2*', 1, ['EOF'])
+  t.equals(Sum.displayName, 'Sum')
+  t.end()
+})
+
+tape('grammar expressions', (t) => {
+  const { A, B, C } = p.grammar(`
+    A = !'x' . &'y' 'y'? B{2,}
+    B = "b\\n"
+    C = 'c'{2} ('d'{1,2}) [\\]] .?
+  `)
+  parseOk(t, A, 'zyb\nb\n', [null, 'z', 'y', 'y', ['b\n', 'b\n']])
+  parseOk(t, A, 'zyb\nb\nb\n',
+    [null, 'z', 'y', 'y', ['b\n', 'b\n', 'b\n']])
+  parseFail(t, A, 'zb\nb\n', 1, ["'y'"])
+  parseFail(t, A, 'xy', 0, ["something that is not 'x'"])
+  parseFail(t, A, 'zyb\n', 4, ["'b\n'"])
+  parseOk(t, B, 'b\n', 'b\n')
+  parseOk(t, C, 'ccd]', [['c', 'c'], ['d'], ']', null])
+  parseOk(t, C, 'ccdd]x', [['c', 'c'], ['d', 'd'], ']', 'x'])
+  parseFail(t, C, 'ccddd]', 4, ['/[\\]]/'])
+  t.end()
+})
+
+tape('grammar literals', (t) => {
+  const { A } = p.grammar(
+    'A <- \'\\\'\\n\\t\\r\\0\\u0041\' "\'\\""')
+  parseOk(t, A, '\'\n\t\r\0A\'"', ['\'\n\t\r\0A', '\'"'])
+  t.end()
+})
+
+tape('grammar rules can be recursive', (t) => {
+  const { List } = p.grammar(`
+    List  <- '(' Items ')'
+    Items <- (Item (' ' Item)*)?
+    Item  <- List / [a-z]
+  `)
+  t.equals(List('(a (b c) ())').status, true)
+  parseFail(t, List, '(a (b c)', 8, ["')'"])
+  t.end()
+})
+
+tape('grammar rules can come from the environment', (t) => {
+  const { A } = p.grammar('A <- Word \'!\' Word?')
+  t.deepEquals(A('hi!yo', { Word: p.regex(/[a-z]+/) }),
+    { status: true, index: 5, value: ['hi', '!', 'yo'] })
+  t.throws(() => A('hi!'),
+    /Partser.grammar rule Word: Not a parser: \[object Undefined\]/)
+  t.throws(() => A('hi!', {}),
+    /Partser.grammar rule Word: Not a parser: \[object Undefined\]/)
+  t.end()
+})
+
+tape('grammar errors', (t) => {
+  t.throws(() => p.grammar(1), /Partser.grammar: Not a string/)
+  t.throws(() => p.grammar(''), SyntaxError)
+  t.throws(() => p.grammar('A <- (\'a\''),
+    /SyntaxError: Partser.grammar: expected '\)' at character 9, got end of input/)
+  t.throws(() => p.grammar('A <- \'a\' A <- \'b\''),
+    /SyntaxError: Partser.grammar: Rule defined twice: A/)
+  t.throws(() => p.grammar('A <- \'a\' {nope}'),
+    /Partser.grammar actions.nope: Not a function/)
+  t.throws(() => p.grammar('A <- \'a\'', { A: 'nope' }),
+    /Partser.grammar actions.A: Not a function/)
+  t.end()
+})
+
+tape('g', (t) => {
+  const number = p.regex(/[0-9]+/)
+  parseOk(t, p.g`'(' ${number} ')'`, '(12)', ['(', '12', ')'])
+  parseOk(t, p.g`${number}`, '12', ['12'])
+  parseOk(t, p.g`${number}(','${number})*`, '1,2,3',
+    ['1', [[',', '2'], [',', '3']]])
+  parseOk(t, p.g`${number}+ '\n'`, '1\n', [['1'], '\n'])
+  t.end()
+})
+
+tape('g with choices', (t) => {
+  const number = p.regex(/[0-9]+/)
+  const parser = p.g`${number} / 'x' 'y' / ('z')`
+  parseOk(t, parser, '1', ['1'])
+  parseOk(t, parser, 'xy', ['x', 'y'])
+  parseOk(t, parser, 'z', ['z'])
+  parseFail(t, parser, 'a', 0, ["'z'", "'x'", '/[0-9]+/'])
+  t.end()
+})
+
+tape('g mixes with other parsers', (t) => {
+  const list = p.g`'[' ${p.from(() => items)}? ']'`
+  const items = p.alt([list, p.string('a')])
+  parseOk(t, p.map(list, ([, x]) => x), '[[a]]', ['[', 'a', ']'])
+  t.deepEquals(p.g`Word '!'`('hi!', { Word: p.regex(/[a-z]+/) }),
+    { status: true, index: 3, value: ['hi', '!'] })
+  t.end()
+})
+
+tape('g errors', (t) => {
+  t.throws(() => p.g`'(' ${'('}`, /Partser.g: Not a parser/)
+  t.throws(() => p.g`'a${p.any}'`,
+    /SyntaxError: Partser.g: Interpolated value 0 is inside a literal or class/)
+  t.throws(() => p.g`${p.any} )`,
+    /SyntaxError: Partser.g: expected EOF at character 5, got '\)'/)
+  t.throws(() => p.g`'a' {x}`, /Partser.g actions.x: Not a function/)
+  t.end()
+})
+
+//
+// Introspection
+//
+
+tape('inspect', (t) => {
+  const a = p.string('a')
+  const digits = p.regex(/[0-9]+/, 0)
+  const transformer = (x) => x.join('')
+  const sequence = p.seq([a, digits])
+  const parser = p.map(sequence, transformer)
+
+  t.deepEquals(p.inspect(parser),
+    { kind: 'map', name: 'map', args: { transformer }, children: [sequence] })
+  t.deepEquals(p.inspect(sequence), {
+    kind: 'seq',
+    name: 'seq(*2)',
+    args: { chainEnv: undefined },
+    children: [a, digits]
+  })
+  t.deepEquals(p.inspect(a),
+    { kind: 'string', name: 'string("a")', args: { value: 'a' }, children: [] })
+  t.deepEquals(p.inspect(digits).args, { regex: /[0-9]+/, group: 0 })
+  t.deepEquals(p.inspect(p.times(a, 1, 2)).args,
+    { min: 1, max: 2, chainEnv: undefined })
+  t.deepEquals(p.inspect(p.desc(a, 'an a')).args, { description: 'an a' })
+  t.deepEquals(p.inspect(p.bytes([1, 2])).args, { values: Uint8Array.of(1, 2) })
+  t.deepEquals(p.inspect(p.uint(16, 'big')).args,
+    { width: 16, byteOrder: 'big' })
+  t.deepEquals(p.inspect(p.except(a, digits)),
+    { kind: 'except', name: 'except', args: {}, children: [a, digits] })
+  t.deepEquals(p.inspect(p.eof),
+    { kind: 'eof', name: 'eof', args: {}, children: [] })
+
+  // Parsers made without a shape could do anything.
+  const opaque = p.Parser('mine', (input, i) => ({ status: true, index: i }))
+  t.deepEquals(p.inspect(opaque),
+    { kind: 'custom', name: 'mine', args: {}, children: [] })
+
+  // The result is a copy.
+  p.inspect(sequence).children.pop()
+  t.equals(p.inspect(sequence).children.length, 2)
+
+  // It follows `p.replace`.
+  const replaced = p.clone(a)
+  p.replace(replaced, digits)
+  t.equals(p.inspect(replaced).kind, 'regex')
+
+  const { list } = p.grammar("list = item (',' item)*", { list: (x) => x })
+  t.deepEquals(p.inspect(list).kind, 'rule')
+  t.deepEquals(p.inspect(list).args, { name: 'list' })
+  t.deepEquals(p.inspect(p.inspect(list).children[0]).kind, 'map')
+
+  t.throws(() => p.inspect('a'), /inspect/)
+  t.end()
+})
+
+tape('walk', (t) => {
+  const a = p.string('a')
+  const b = p.desc(p.string('b'), 'b')
+  const list = p.seq([a, b, a])
+  const parser = p.alt([list, b])
+
+  const seen = []
+  p.walk(parser, (x, parents) => {
+    seen.push([p.inspect(x).kind, parents.map((y) => p.inspect(y).kind)])
+  })
+  t.deepEquals(seen, [
+    ['alt', []],
+    ['seq', ['alt']],
+    ['string', ['alt', 'seq']],
+    ['desc', ['alt', 'seq']],
+    ['string', ['alt', 'seq', 'desc']]
+  ])
+
+  // Returning false skips the parsers a parser calls.
+  const kinds = []
+  p.walk(parser, (x) => {
+    kinds.push(p.inspect(x).kind)
+    return p.inspect(x).kind !== 'seq'
+  })
+  t.deepEquals(kinds, ['alt', 'seq', 'desc', 'string'])
+
+  // Recursive parsers are visited once.
+  const { expression } = p.grammar(`
+    expression = '(' expression ')' / 'x'
+  `)
+  let count = 0
+  p.walk(expression, () => { count += 1 })
+  t.equals(count, 6)
+
+  t.throws(() => p.walk(a), /walk/)
+  t.end()
+})
+
+tape('toDot', (t) => {
+  const { list } = p.grammar(`
+    list = item (',' item)*
+    item = [a-z] / '(' list ')'
+  `)
+  t.equals(p.toDot(list), [
+    'digraph grammar {',
+    '  n0 [label="list", shape=ellipse]',
+    '  n0 -> n1',
+    '  n1 [label="seq", shape=ellipse]',
+    '  n1 -> n2 [label="1"]',
+    '  n1 -> n8 [label="2"]',
+    '  n2 [label="item", shape=ellipse]',
+    '  n2 -> n3',
+    '  n3 [label="alt", shape=ellipse]',
+    '  n3 -> n4 [label="1"]',
+    '  n3 -> n5 [label="2"]',
+    '  n4 [label="regex(/[a-z]/, 0)", shape=box, style=rounded]',
+    '  n5 [label="seq", shape=ellipse]',
+    '  n5 -> n6 [label="1"]',
+    '  n5 -> n0 [label="2"]',
+    '  n5 -> n7 [label="3"]',
+    '  n6 [label="string(\\"(\\")", shape=box, style=rounded]',
+    '  n7 [label="string(\\")\\")", shape=box, style=rounded]',
+    '  n8 [label="times(0, Infinity)", shape=ellipse]',
+    '  n8 -> n9',
+    '  n9 [label="seq", shape=ellipse]',
+    '  n9 -> n10 [label="1"]',
+    '  n9 -> n2 [label="2"]',
+    '  n10 [label="string(\\",\\")", shape=box, style=rounded]',
+    '}',
+    ''
+  ].join('\n'))
+
+  // Names can be given to parsers, such as those made with `p.replace`.
+  const a = p.string('a')
+  const nested = p.clone(a)
+  p.replace(nested, p.alt([
+    p.seq([p.string('['), nested, p.string(']')]),
+    p.desc(p.chain(a, () => a), 'an "a"'),
+    p.from(() => a)
+  ]))
+  t.equals(p.toDot(nested, { names: { nested } }), [
+    'digraph grammar {',
+    '  n0 [label="nested", shape=ellipse]',
+    '  n0 -> n1 [label="1"]',
+    '  n0 -> n4 [label="2"]',
+    '  n0 -> n7 [label="3"]',
+    '  n1 [label="seq", shape=ellipse]',
+    '  n1 -> n2 [label="1"]',
+    '  n1 -> n0 [label="2"]',
+    '  n1 -> n3 [label="3"]',
+    '  n2 [label="string(\\"[\\")", shape=box, style=rounded]',
+    '  n3 [label="string(\\"]\\")", shape=box, style=rounded]',
+    '  n4 [label="desc \\"an \\\\\\"a\\\\\\"\\"", shape=ellipse]',
+    '  n4 -> n5',
+    '  n5 [label="chain", shape=box]',
+    '  n5 -> n6',
+    '  n6 [label="string(\\"a\\")", shape=box, style=rounded]',
+    '  n7 [label="from", shape=box]',
+    '}',
+    ''
+  ].join('\n'))
+
+  t.ok(p.toDot(p.context(a, 'letter')).includes('[label="context \\"letter\\""'))
+  t.throws(() => p.toDot(a, { names: { b: 'b' } }), /toDot/)
+  t.end()
+})
+
+tape('toRailroad', (t) => {
+  const { list } = p.grammar(`
+    list = item (',' item)*
+    item = [a-z]+ / '(' list ')' / !'<' .
+  `)
+  const svg = p.toRailroad(list)
+  t.ok(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"'))
+  t.ok(svg.endsWith('</svg>\n'))
+  // Each rule is drawn once, under its name, and referred to elsewhere.
+  const titles = svg.match(/<text [^>]*class="title">[^<]*/g)
+    .map((x) => x.replace(/.*>/, ''))
+  t.deepEquals(titles, ['list', 'item'])
+  const references = svg.match(/<g class="nonterminal">.*?<\/g>/g)
+    .map((x) => x.replace(/.*>([^<]*)<\/text><\/g>$/, '$1'))
+  t.deepEquals(references, ['item', 'item', 'list'])
+  t.ok(svg.includes('>,</text>'))
+  t.ok(svg.includes('>/[a-z]/</text>'))
+  t.ok(svg.includes('>not followed by</text>'))
+  t.ok(svg.includes('>&lt;</text>'))
+
+  // A recursive parser is drawn separately even without a name.
+  const a = p.string('a')
+  const nested = p.clone(a)
+  p.replace(nested, p.alt([p.seq([p.string('['), nested, p.string(']')]), a]))
+  const parser = p.seq([nested, p.string('!')])
+  t.deepEquals(p.toRailroad(parser).match(/class="title">[^<]*/g),
+    ['class="title">seq', 'class="title">alt'])
+  t.deepEquals(
+    p.toRailroad(parser, { names: { nested } }).match(/class="title">[^<]*/g),
+    ['class="title">seq', 'class="title">nested'])
+
+  const parts = p.toRailroad(p.seq([
+    p.times(a, 0, 1),
+    p.times(a, 1, 1),
+    p.times(a, 0, 0),
+    p.times(a, 3),
+    p.times(a, 2, Infinity),
+    p.times(a, 0, 4),
+    p.times(a, 2, 4),
+    p.except(p.regex(/[a-z]/), a),
+    p.lookahead(a),
+    p.context(a, 'context label'),
+    p.desc(a, 'description'),
+    p.custom(() => {}),
+    p.from(() => a),
+    p.chain(a, () => a),
+    p.succeed(),
+    p.index,
+    p.eof,
+    p.map(a, (x) => x),
+    p.seq([]),
+    p.seq([a]),
+    p.alt([a])
+  ]))
+  for (const text of [
+    '3 times', 'at least 2 times', 'at most 4 times', '2 to 4 times',
+    'except', 'but not', 'lookahead', 'context label', 'description'
+  ]) {
+    t.ok(parts.includes(`>${text}</text>`), text)
+  }
+  t.equals(parts.match(/class="opaque"/g).length, 3)
+  t.ok(parts.includes('>eof</text>'))
+
+  t.throws(() => p.toRailroad(a, { names: { b: 'b' } }), /toRailroad/)
+  t.end()
+})
+
+//
+// Analysis
+//
+
+tape('analyse', (t) => {
+  const a = p.string('a')
+  const b = p.string('b')
+  const analysis = (nullable, first, opaque = false) =>
+    ({ nullable, first, opaque })
+
+  t.deepEquals(p.analyse(a), analysis(false, ["'a'"]))
+  t.deepEquals(p.analyse(p.string('')), analysis(true, []))
+  t.deepEquals(p.analyse(p.regex(/x*/)), analysis(true, ['/x*/']))
+  t.deepEquals(p.analyse(p.any), analysis(false, ['any character']))
+  t.deepEquals(p.analyse(p.all), analysis(true, ['any character']))
+  t.deepEquals(p.analyse(p.test((x) => x === 'a')),
+    analysis(false, ["a character matching (x) => x === 'a'"]))
+  t.deepEquals(p.analyse(p.take(1)), analysis(false, ['1 character']))
+  t.deepEquals(p.analyse(p.take(2)), analysis(false, ['2 characters']))
+  t.deepEquals(p.analyse(p.bytes([])), analysis(true, []))
+  t.deepEquals(p.analyse(p.uint(16, 'big')),
+    analysis(false, ['a 16-bit big-endian unsigned integer']))
+  for (const parser of [p.succeed(1), p.eof, p.index, p.lcIndex,
+    p.lookahead(a), p.notFollowedBy(a)]) {
+    t.deepEquals(p.analyse(parser), analysis(true, []), parser.displayName)
+  }
+  t.deepEquals(p.analyse(p.fail('x')), analysis(false, []))
+
+  t.deepEquals(p.analyse(p.seq([p.regex(/ */), a, b])),
+    analysis(false, ['/ */', "'a'"]))
+  t.deepEquals(p.analyse(p.seq([p.eof])), analysis(true, []))
+  t.deepEquals(p.analyse(p.alt([a, p.seq([a, b]), p.succeed()])),
+    analysis(true, ["'a'"]))
+  t.deepEquals(p.analyse(p.times(a, 1, 2)), analysis(false, ["'a'"]))
+  t.deepEquals(p.analyse(p.times(a, 0, 2)), analysis(true, ["'a'"]))
+  t.deepEquals(p.analyse(p.times(a, 0)), analysis(true, []))
+  t.deepEquals(p.analyse(p.desc(p.seq([a, b]), 'ab')),
+    analysis(false, ['ab']))
+  t.deepEquals(p.analyse(p.desc(p.eof, 'end')), analysis(true, []))
+  t.deepEquals(p.analyse(p.except(a, b)), analysis(false, ["'a'"]))
+
+  const wrappers = [
+    p.map(a, (x) => x), p.memo(a), p.leftRec(a), p.cut(a),
+    p.subEnv(a, (env) => env), p.recover(a, b, () => null),
+    p.debug(a, { enter: () => {}, exit: () => {} }), p.mark(a)
+  ]
+  for (const parser of wrappers) {
+    t.deepEquals(p.analyse(parser), analysis(false, ["'a'"]),
+      parser.displayName)
+  }
+  t.end()
+})
+
+tape('analyse opaque parsers', (t) => {
+  const a = p.string('a')
+  const analysis = (nullable, first, opaque) => ({ nullable, first, opaque })
+
+  t.deepEquals(p.analyse(p.from(() => a)), analysis(false, [], true))
+  t.deepEquals(p.analyse(p.custom(() => {})), analysis(false, [], true))
+  t.deepEquals(p.analyse(p.Parser('mine', () => {})),
+    analysis(false, [], true))
+  t.deepEquals(p.analyse(p.chain(a, () => a)), analysis(false, ["'a'"], false))
+  t.deepEquals(p.analyse(p.chain(p.succeed(), () => a)),
+    analysis(false, [], true))
+  t.deepEquals(p.analyse(p.seq([p.from(() => a), a])),
+    analysis(false, [], true))
+  t.deepEquals(p.analyse(p.desc(p.from(() => a), 'thing')),
+    analysis(false, ['thing'], true))
+  t.deepEquals(p.analyse(p.alt([p.custom(() => {}), a])),
+    analysis(false, ["'a'"], true))
+  t.throws(() => p.analyse('a'), /Partser.analyse: Not a parser/)
+  t.end()
+})
+
+tape('analyse recursive parsers', (t) => {
+  const { list } = p.grammar(`
+    list = '(' list* ')' / atom
+  `, {}, {})
+  t.deepEquals(p.analyse(list),
+    { nullable: false, first: ["'('"], opaque: true }, 'env rule is opaque')
+
+  const { expr } = p.grammar(`
+    expr = term ('+' term)*
+    term = number / '(' expr ')' / '-'? expr
+    number = [0-9]+
+  `)
+  t.deepEquals(p.analyse(expr),
+    { nullable: false, first: ['/[0-9]/', "'('", "'-'"], opaque: false })
+
+  const a = p.string('a')
+  const selfReference = p.alt([p.seq([a]), p.string('b')])
+  p.replace(a, p.alt([selfReference, p.string('c')]))
+  t.deepEquals(p.analyse(selfReference),
+    { nullable: false, first: ["'b'", "'c'"], opaque: false },
+    'follows replaced parsers')
+  t.end()
+})
+
+tape('lint', (t) => {
+  const a = p.string('a')
+  t.deepEquals(p.lint(p.seq([a, p.times(a, 0, Infinity)])), [])
+  t.deepEquals(p.lint(p.seq([p.index, p.eof])), [])
+
+  t.deepEquals(p.lint(p.seq([a, p.times(p.regex(/ */), 1, Infinity)])), [{
+    type: 'zeroWidthRepetition',
+    path: ['seq(*2)', 'times(1,Infinity)'],
+    message: 'times(1,Infinity) repeats a parser that can match empty ' +
+      'input, so it can repeat forever'
+  }])
+  t.deepEquals(p.lint(p.times(p.regex(/ */), 0, 5)), [],
+    'bounded repetition ends')
+
+  t.deepEquals(p.lint(p.alt([a, p.from(() => a)])), [{
+    type: 'opaque',
+    path: ['alt(*2)', 'from'],
+    message: "from can't be inspected without running it"
+  }])
+  t.deepEquals(p.lint(p.custom(() => {})).map((x) => x.type), ['opaque'])
+  t.end()
+})
+
+tape('lint shadowed alternatives', (t) => {
+  const shadowed = (parsers) => p.lint(p.alt(parsers)).map((x) => x.message)
+
+  t.deepEquals(shadowed([p.string('if'), p.string('iffy'), p.string('else')]),
+    ['string("iffy") can never match, because string("if") before it ' +
+      'matches first'])
+  t.deepEquals(shadowed([
+    p.map(p.string('a'), (x) => x),
+    p.seq([p.desc(p.string('ab'), 'ab'), p.any]),
+    p.string('b')
+  ]), ['seq(*2) can never match, because map before it matches first'])
+  t.deepEquals(shadowed([p.string('ab'), p.string('a'), p.regex(/a/)]), [])
+  t.deepEquals(shadowed([p.times(p.any, 0, 1), p.any]),
+    ['any can never match, because times(0,1) before it matches first'])
+  t.deepEquals(shadowed([p.times(p.any, 1), p.succeed(), p.any]),
+    ['any can never match, because succeed before it matches first'])
+  t.end()
+})
+
+tape('lint left recursion', (t) => {
+  const { sum } = p.grammar(`
+    sum = sum '+' number / number
+    number = [0-9]+
+  `)
+  t.deepEquals(p.lint(sum), [{
+    type: 'leftRecursion',
+    path: ['sum', 'alt(*2)', 'seq(*3)', 'sum'],
+    message: 'sum can call itself without consuming input, so it recurses ' +
+      'forever'
+  }])
+
+  const { list } = p.grammar(`
+    list = '(' list* ')' / ' '* ('x' / list)
+  `)
+  t.deepEquals(p.lint(list).map((x) => x.path), [
+    ['list', 'alt(*2)', 'seq(*2)', 'alt(*2)', 'list']
+  ], 'sees through parsers that can match empty input')
+
+  const loop = p.grammar(`
+    loop = loop
+    tail = tail 'x'
+  `)
+  t.deepEquals(p.lint(loop.loop).map((x) => x.path), [['loop', 'loop']])
+  t.deepEquals(p.lint(p.alt([loop.tail, p.string('y')])).map((x) => x.path),
+    [['alt(*2)', 'tail', 'seq(*2)', 'tail']])
+
+  const term = p.string('1')
+  const expression = p.clone(term)
+  p.replace(expression, p.leftRec(p.alt([
+    p.seq([expression, p.string('+'), term]),
+    term
+  ])))
+  t.deepEquals(p.lint(expression), [], 'p.leftRec handles left recursion')
+  t.deepEquals(p.lint(p.leftRec(p.seq([p.times(term, 0), sum]))).length, 1)
+  t.deepEquals(p.lint(p.recover(sum, p.string(';'), () => null)).length, 1)
+  t.end()
+})
+
+//
+// All parses
+//
+
+tape('parseAll', (t) => {
+  const number = p.regex(/[0-9]/)
+  const sum = p.clone(number)
+  p.replace(sum, p.alt([
+    p.map(p.seq([sum, p.string('+'), sum]), ([a, , b]) => [a, b]),
+    number
+  ]))
+
+  const result = p.parseAll(sum, '1+2+3')
+  t.ok(result.status)
+  t.equals(result.index, 5)
+  t.ok(p.isAmbiguous(result.value))
+  t.deepEquals(result.value.ambiguous, [[['1', '2'], '3'], ['1', ['2', '3']]])
+  t.deepEquals(p.parseAll(sum, '1'), { status: true, index: 1, value: '1' })
+
+  const fourTerms = p.parseAll(sum, '1+2+3+4')
+  t.equals(Array.from(p.interpretations(fourTerms.value)).length, 5)
+  const [, [, right], [, { ambiguous: [, [, sameRight]] }]] =
+    fourTerms.value.ambiguous
+  t.deepEquals(right, ['3', '4'])
+  t.equals(sameRight, right, 'shares values between parses')
+  t.throws(() => p.parseAll('a', 'a'), /Partser.parseAll: Not a parser/)
+  t.end()
+})
+
+tape('parseAll repetition', (t) => {
+  const a = p.string('a')
+  const aa = p.string('aa')
+  const parser = p.times(p.alt([a, aa]), 0, Infinity)
+  t.deepEquals(Array.from(p.interpretations(p.parseAll(parser, 'aaa').value)),
+    [['a', 'aa'], ['aa', 'a'], ['a', 'a', 'a']])
+  t.deepEquals(p.parseAll(p.seq([p.times(a, 1, 2), p.times(a, 0, 5)]), 'aa')
+    .value.ambiguous, [[['a'], ['a']], [['a', 'a'], []]])
+  t.deepEquals(p.parseAll(p.times(p.regex(/a*/), 1, Infinity), 'aa').value,
+    ['aa'], 'ignores repetitions that stay put')
+  t.deepEquals(p.parseAll(p.times(p.regex(/a?/), 2), 'a').value, ['a', ''])
+  t.end()
+})
+
+tape('parseAll shares the starts of sequences', (t) => {
+  const parser = p.times(p.alt([p.string('a'), p.string('aa')]), 0, Infinity)
+  const { value } = p.parseAll(parser, 'a'.repeat(24))
+  // Count the objects in the result, once each, however often they're shared.
+  const seen = new Set()
+  const visit = (x) => {
+    if (x === null || typeof x !== 'object' || seen.has(x)) return
+    seen.add(x)
+    Object.values(x).forEach(visit)
+  }
+  visit(value)
+  t.ok(seen.size < 1000, 'stays small')
+  t.equals(Array.from(p.interpretations(value)).length, 75025)
+
+  const short = p.parseAll(parser, 'aaaa').value
+  const start = { ambiguous: [['a', 'aa'], ['aa', 'a']], spread: true }
+  t.deepEquals(short.ambiguous[2], [start, 'a'])
+  t.ok(p.isAmbiguous(short.ambiguous[2][0]))
+  t.deepEquals(Array.from(p.interpretations(short)).map((x) => x.join(' ')),
+    ['aa aa', 'a a aa', 'a aa a', 'aa a a', 'a a a a'])
+  t.deepEquals(
+    p.parseAll(p.map(parser, (x) => x.join(' ')), 'aaaa').value.ambiguous,
+    ['aa aa', 'a a aa', 'a aa a', 'aa a a', 'a a a a'],
+    'p.map gets whole Arrays')
+  t.end()
+})
+
+tape('parseAll combinators', (t) => {
+  const a = p.string('a')
+  const ab = p.regex(/ab?/)
+  const withEnv = (parser, input, env) => p.parseAll(parser, input, env)
+
+  const counted = p.map(a, (x, n) => n)
+  t.deepEquals(withEnv(p.seq([counted, counted], (x, n) => n + 1), 'aa', 1),
+    { status: true, index: 2, value: [1, 2] })
+  t.deepEquals(withEnv(p.times(counted, 2, 2, (x, n) => n * 2), 'aa', 3),
+    { status: true, index: 2, value: [3, 6] })
+  t.deepEquals(withEnv(p.subEnv(counted, (n) => n + 1), 'a', 1),
+    { status: true, index: 1, value: 2 })
+  t.deepEquals(withEnv(p.from((env) => env.parser), 'ab', { parser: ab }),
+    { status: true, index: 2, value: 'ab' })
+  t.deepEquals(withEnv(p.chain(p.regex(/[0-9]/), (n) => p.times(a, +n)),
+    '2aa'), { status: true, index: 3, value: ['a', 'a'] })
+  t.deepEquals(withEnv(p.except(p.any, a), 'b'),
+    { status: true, index: 1, value: 'b' })
+  t.deepEquals(withEnv(p.except(p.any, a), 'a'),
+    { status: false, index: 0, value: ["any character (except 'a')"] })
+  t.deepEquals(withEnv(p.seq([p.lookahead(ab), p.any, p.notFollowedBy(a)]),
+    'a'), { status: true, index: 1, value: ['a', 'a', null] })
+  t.deepEquals(withEnv(p.seq([p.any, p.notFollowedBy(a), p.any]), 'aa'),
+    { status: false, index: 1, value: ["something that is not 'a'"] })
+  t.deepEquals(withEnv(p.notFollowedBy(p.seq([a, a])), 'aa'),
+    { status: false, index: 0, value: ['something that is not \'["a","a"]\''] })
+
+  const wrapped = [p.memo(a), p.leftRec(a), p.cut(a), p.mark(a),
+    p.debug(a, { enter: () => {}, exit: () => {} }), p.custom(a.behaviour)]
+  t.deepEquals(wrapped.map((x) => p.parseAll(x, 'a').status),
+    wrapped.map(() => true))
+
+  const recovering = p.recover(p.seq([a, p.string(';')]), p.string(';'),
+    (failure, skipped) => ({ skipped }))
+  const statements = p.times(recovering, 0, Infinity)
+  t.deepEquals(withEnv(statements, 'a;b;'), {
+    status: true,
+    index: 4,
+    value: [['a', ';'], { skipped: 'b;' }],
+    errors: [{ status: false, index: 2, value: ["'a'"] }]
+  })
+  t.end()
+})
+
+tape('parseAll failures', (t) => {
+  const a = p.string('a')
+  t.deepEquals(p.parseAll(p.seq([a, a]), 'ab'),
+    { status: false, index: 1, value: ["'a'"] })
+  t.deepEquals(p.parseAll(p.times(a, 0, Infinity), 'aab'),
+    { status: false, index: 2, value: ['EOF', "'a'"] })
+  t.deepEquals(p.parseAll(p.alt([p.seq([a, a]), a]), 'ab'),
+    { status: false, index: 1, value: ['EOF', "'a'"] })
+  t.deepEquals(p.parseAll(p.desc(p.seq([a, a]), 'two as'), 'ab'),
+    { status: false, index: 1, value: ['two as'] })
+  t.deepEquals(p.parseAll(p.seq([p.desc(a, 'an a'), a]), 'b'),
+    { status: false, index: 0, value: ['an a'] })
+  t.deepEquals(p.parseAll(p.seq([a, p.desc(p.succeed(), 'b'), a]), 'a'),
+    { status: false, index: 1, value: ["'a'"] })
+  t.end()
+})
+
+tape('parseAll left recursion', (t) => {
+  const { list } = p.grammar(`
+    list = list ',' item / item
+    item = [a-z]
+  `, { list: (x) => Array.isArray(x) ? x[0].concat([x[2]]) : [x] })
+  t.deepEquals(p.parseAll(list, 'a,b,c'),
+    { status: true, index: 5, value: ['a', 'b', 'c'] })
+
+  // A parser that calls itself without consuming input matches in infinitely
+  // many ways, but only some are found.
+  const { loop } = p.grammar("loop = loop / 'x'")
+  t.deepEquals(p.parseAll(loop, 'x').value, { ambiguous: ['x', 'x'] })
+  t.end()
+})
+
+tape('interpretations', (t) => {
+  const a = p.string('a')
+  const parser = p.seq([
+    p.alt([a, p.map(a, () => 'A')]),
+    p.map(p.alt([a, p.map(a, () => 'B')]), (x) => ({ x, y: [x] }))
+  ])
+  t.deepEquals(Array.from(p.interpretations(p.parseAll(parser, 'aa').value)), [
+    ['a', { x: 'a', y: ['a'] }],
+    ['a', { x: 'B', y: ['B'] }],
+    ['A', { x: 'a', y: ['a'] }],
+    ['A', { x: 'B', y: ['B'] }]
+  ])
+  t.deepEquals(Array.from(p.interpretations(null)), [null])
+  t.deepEquals(Array.from(p.interpretations([])), [[]])
+  t.notOk(p.isAmbiguous({ ambiguous: [1, 2] }))
+  t.end()
+})
+
+//
+// Compiling
+//
+
+// Checks that a compiled parser gets the same results as the parser it was
+// compiled from, also when stopped by the `maxSteps` option at any step.
+const sameAsInterpreted = (t, parser, inputs, env) => {
+  const compiled = p.compile(parser)
+  for (const input of inputs) {
+    t.deepEquals(compiled(input, env), parser(input, env), input)
+    const steps = [1, 2, 3, 5, 8, 13, 21, 34]
+    t.deepEquals(
+      steps.map((maxSteps) => compiled(input, env, 0, { maxSteps })),
+      steps.map((maxSteps) => parser(input, env, 0, { maxSteps })),
+      `${input} (maxSteps)`)
+  }
+}
+
+tape('compile', (t) => {
+  const { value } = p.grammar(`
+    value = ws (list / word / number / 'true' / 'false') ws
+    list = '[' ws (value (',' value)*)? ']' {list}
+    word = '"' [^"]* '"'
+    number = '-'? [0-9]+
+    ws = [ \n]*
+  `, {
+    list: ([, , items]) => items ? [items[0]].concat(items[1].map((x) => x[1])) : [],
+    number: ([minus, digits]) => Number((minus || '') + digits.join(''))
+  })
+  sameAsInterpreted(t, value, [
+    '[1, [true, "x"], []]', ' -42 ', '[1, 2', '[1,,2]', 'nope', '', '[[[[]]]]'
+  ])
+
+  const word = p.desc(p.regex(/[a-z]+/), 'word')
+  const statement = p.context(p.seq([
+    p.string('let '), word, p.string(' = '), p.map(p.regex(/[0-9]+/), Number),
+    p.string(';')
+  ]), 'statement')
+  const statements = p.seq([
+    p.times(p.seq([statement, p.regex(/\n*/)]), 1, 3),
+    p.alt([p.string('end'), p.fail('the end'), p.eof, p.succeed('nothing')])
+  ])
+  sameAsInterpreted(t, statements, [
+    'let a = 1;\nlet b = 2;\nend', 'let a = 1;', 'let a = 1;\nlet b = x;',
+    'let a = 1;let b = 2;let c = 3;let d = 4;', 'let a = 1;\nlet', 'end'
+  ])
+  {
+    const input = 'let a = 1;\nlet b = ;'
+    t.deepEquals(p.explainError(input, p.compile(statements)(input)),
+      p.explainError(input, statements(input)))
+  }
+
+  // Regexes that look behind the offset they match at still can.
+  const contextual = p.seq([
+    p.any, p.regex(/^b/), p.regex(/(?<=b)c/), p.regex(/\bd/), p.regex(/(e)f/, 1)
+  ])
+  sameAsInterpreted(t, contextual, ['abcdef', 'abc d', 'xbcdef', 'abcdeg', 'a'])
+  t.end()
+})
+
+tape('compile falls back to interpreting', (t) => {
+  // Parsers of other kinds are called as usual.
+  const letter = p.regex(/[a-z]/)
+  const parser = p.seq([
+    p.custom((input, i) => input[i] === '!'
+      ? { status: true, index: i + 1, value: '!' }
+      : { status: false, index: i, value: ['!'] }),
+    p.from((env) => env.next),
+    p.chain(letter, (x) => p.string(x.toUpperCase())),
+    p.times(letter, 0, 2, (value, env) => env)
+  ])
+  sameAsInterpreted(t, parser, ['!aaA', '!abB', '?', '!a', '!aaAbc'],
+    { next: letter })
+  sameAsInterpreted(t, p.desc(p.from((env) => env.next), 'a letter'),
+    ['a', '1'], { next: letter })
+
+  // So are the errors `p.recover` records, and forgets on backtracking.
+  const recovering = p.recover(p.string('a'), p.string(';'),
+    (failure, skipped) => skipped)
+  sameAsInterpreted(t, p.alt([
+    p.seq([recovering, p.string('!')]),
+    p.seq([recovering, p.string('?')]),
+    p.seq([p.string('x;'), p.string('?')])
+  ]), ['x;!', 'x;?', 'a!', 'x;.'])
+
+  // The parser is interpreted when parsing other input than strings, when
+  // debugging, and for streams and incremental parsing.
+  const a = p.compile(p.seq([p.token('a'), p.any]))
+  t.deepEquals(a([{ type: 'a' }, 'b']),
+    { status: true, index: 2, value: [{ type: 'a' }, 'b'] })
+
+  const lines = p.compile(p.times(p.regex(/[a-z]*\n/), 0, Infinity))
+  const logged = []
+  const handler = {
+    enter: (parser) => logged.push(parser.displayName),
+    exit: () => {}
+  }
+  t.deepEquals(p.debug(lines, handler)('x\n'),
+    { status: true, index: 2, value: ['x\n'] })
+  t.deepEquals(logged.slice(0, 3),
+    ['times(0,Infinity)', 'regex(/[a-z]*\\n/, 0)', 'regex(/[a-z]*\\n/, 0)'])
+
+  const first = lines('one\ntwo\n', undefined, 0, { incremental: true })
+  t.deepEquals(p.reparse(first, 4, 3, 'six'),
+    { status: true, index: 8, value: ['one\n', 'six\n'] })
+
+  const stream = p.stream(p.compile(p.regex(/[a-z]+\n/)))
+  t.deepEquals(stream.write('a'), { status: true, index: 0, value: [] })
+  t.deepEquals(stream.write('b\nc'), { status: true, index: 3, value: ['ab\n'] })
+  t.deepEquals(stream.write('d\n'), { status: true, index: 3, value: [] })
+  t.deepEquals(stream.end(), { status: true, index: 6, value: ['cd\n'] })
+  t.end()
+})
+
+tape('compile details', (t) => {
+  const a = p.string('a')
+  const list = p.clone(a)
+  p.replace(list, p.alt([p.seq([a, list]), p.seq([])]))
+  const compiled = p.compile(list)
+  t.deepEquals(compiled('aaa'),
+    { status: true, index: 3, value: ['a', ['a', ['a', []]]] })
+  t.equals(compiled.displayName, list.displayName)
+
+  const { kind, children, args } = p.inspect(compiled)
+  t.deepEquals([kind, children], ['compiled', [list]])
+  t.ok(args.source.includes('input.startsWith("a", '))
+  // Regexes match in place, unless they can see before where they match.
+  const inPlace = (re) =>
+    p.inspect(p.compile(p.regex(re))).args.source.includes('lastIndex')
+  t.deepEquals([/a/, /"[^"]*"/, /[\]^]\^?/, /\^[\b]/].map(inPlace),
+    [true, true, true, true])
+  t.deepEquals([/^a/, /a|(?<=b)c/, /(?<!b)c/, /\Ba/, /[a]^/].map(inPlace),
+    [false, false, false, false, false])
+  t.deepEquals(p.analyse(compiled), p.analyse(list))
+  t.deepEquals(p.parseAll(compiled, 'aa'),
+    { status: true, index: 2, value: ['a', ['a', []]] })
+
+  // Later changes to the parsers it was compiled from don't change it.
+  p.replace(list, p.string('b'))
+  t.deepEquals(compiled('aa'), { status: true, index: 2, value: ['a', ['a', []]] })
+
+  // Repeating a parser that doesn't consume input is caught.
+  const loop = p.compile(p.times(p.regex(/a*/), 0, Infinity))
+  t.deepEquals(loop('b'),
+    { status: false, index: 0, value: ['regex(/a*/, 0) to consume input'] })
+  t.deepEquals(loop('b', undefined, 0, { zeroWidthRepetition: 'stop' }),
+    { status: false, index: 0, value: ['EOF'] })
+  t.deepEquals(p.compile(p.times(p.regex(/ */), 0, 1))(''),
+    { status: true, index: 0, value: [''] }, 'but bounded repetition ends')
+
+  // It can be called directly, outside of a top-level call.
+  t.deepEquals(compiled._('ab', 0), { status: true, index: 1, value: ['a', []] })
+  t.throws(() => p.compile('a'), /compile/)
+  t.end()
+})
+
+//
+// p.replace & co
+//
+
+tape('replace', (t) => {
+  // Replacement changes the logic of one parser to the that of another.
+  let a = p.string('a')
+  let b = p.string('b')
+  p.replace(a, b)
+  parseOk(t, a, 'b', 'b')
+
+  // This doesn't change the replaced parser's identity, so its behaviour just
+  // changes in-place wherever it's been used otherwise.
+  a = p.string('a')
+  b = p.string('b')
+  const many = p.times(a, 1, Infinity)
+  p.replace(a, b)
+  parseOk(t, many, 'bb', ['b', 'b'])
+
+  // A `p.replace` is one-off: the replacement is by value, not reference.  This
+  // means replacing A with B and later replacing B with C, means A's logic is
+  // still from what B was then, not what it changed to become.
+  a = p.string('a')
+  b = p.string('b')
+  p.replace(a, b)
+  p.replace(b, p.string('c'))
+  parseOk(t, a, 'b', 'b')
+
+  // This also works with `p.chain`, which dynamically chooses which parser to go
+  // with next, based on the result of the previous.
+  a = p.string('a')
+  b = p.string('b')
+  const acbd = p.chain(p.alt([a, b]), (result) => {
+    if (result.match(/a+/)) {
+      return p.string('c')
+    } else {
+      return p.string('d')
+    }
+  })
+  parseOk(t, acbd, 'ac', 'c')
+  parseOk(t, acbd, 'bd', 'd')
+  p.replace(a, p.regex(/a+/))
+  parseOk(t, acbd, 'aaac', 'c')
+  parseFail(t, acbd, 'aaad', 3, ["'c'"])
+  t.end()
+})
+
+tape('replace with except', (t) => {
+  const a = p.string('a')
+  const anyButA = p.except(p.any, a)
+  p.replace(a, p.string('b'))
+  parseOk(t, anyButA, 'a', 'a')
+  parseFail(t, anyButA, 'b', 0, ["any character (except 'b')"])
+  t.end()
+})
+
+tape('replace with p.alt', (t) => {
+  const a = p.fail('defined later')
+  const b = p.string('b')
+  const aOrB = p.alt([a, b])
+  p.replace(a, p.map(p.string('c'), () => 'hi'))
+  parseOk(t, aOrB, 'b', 'b')
+  parseOk(t, aOrB, 'c', 'hi')
+  parseFail(t, aOrB, 'a', 0, ["'b'", "'c'"])
+  t.end()
+})
+
+tape('replace with p.alt', (t) => {
+  const listParserLater = p.fail('implemented later')
+  const expression = p.alt([
+    listParserLater,
+    p.string('a')])
+
+  const between = (parser, before, after) =>
+    p.map(p.seq([before, parser, after]), ([_, x]) => x)
+
+  const listOpener = p.string('(')
+  const listTerminator = p.string(')')
+
+  const listContent = p.desc(p.times(expression, 0, Infinity), 'list content')
+  const list = between(listContent, listOpener, listTerminator)
+  p.replace(listParserLater, list)
+
+  parseOk(t, expression, 'a', 'a')
+  parseOk(t, expression, '()', [])
+  t.end()
+})
+
+tape('clone', (t) => {
+  let a = p.string('a')
+
+  // Cloning an object creates a parser which has a separate identity but the
+  // same parsing behaviour and display name.
+  t.equal(a, a)
+  t.notEqual(a, p.clone(a))
+  t.equal(a.displayName, p.clone(a).displayName)
+  parseOk(t, a, 'a', 'a')
+  parseOk(t, p.clone(a), 'a', 'a')
+  // This means you can modify the p.clone, e.g. by replacing it's logic, without
+  // affecting the original.
+  const b = p.clone(a)
+  p.replace(b, p.string('b'))
+  parseOk(t, b, 'b', 'b') // p.clone logic altered
+  parseOk(t, a, 'a', 'a') // original still the same
+
+  // Cloning does not preserve object properties.
+  a = p.string('a')
+  a.hi = 'hello'
+  t.throws(() => p.clone('a'))
+
+  // Without cloning the `a` here, one of the branches of the p.alt would refer
+  // to the p.alt itself (since that's what `a` is replaced with and cause an
+  // infinite loop when called.
+  a = p.string('a')
+  p.replace(a, p.alt([p.clone(a), p.string('b')]))
+  parseOk(t, a, 'a', 'a')
+  parseOk(t, a, 'b', 'b')
+  t.end()
+})
+
+tape('self-reference', (t) => {
+  const parenOpen = p.string('(')
+  const parenClose = p.string(')')
+  const list = p.fail('defined later')
+  p.replace(list,
+    p.times(p.map(
+      p.seq([parenOpen, list, parenClose]),
+      ([_, x]) => ({ v: x })),
+    0, Infinity))
+
+  parseOk(t, list, '()', [{ v: [] }])
+  parseOk(t, list, '()()', [{ v: [] }, { v: [] }])
+  parseOk(t, list, '(())', [{ v: [{ v: [] }] }])
+  t.end()
+})
+
+tape('formatError', (t) => {
+  {
+    const ab = p.alt([p.string('a'), p.string('b')])
+    const source = 'x'
+    const error = ab(source)
+    t.equals(p.formatError(source, error),
+      "expected one of 'b', 'a' at character 0, got 'x'")
+  }
+  {
+    const ab = p.string('a')
+    const source = ''
+    const error = ab(source)
+    t.equals(p.formatError(source, error),
+      "expected 'a' at character 0, got end of input")
+  }
+  {
+    const ab = p.string('!')
+    const source = 'abcdefghijklmnopqrstuvwxyz'
+    const error = ab(source)
+    t.equals(p.formatError(source, error),
+      "expected '!' at character 0, got 'abcdefghij...'")
+  }
+  {
+    const letters = p.times(p.regex(/[a-z]/), 0, Infinity)
+    const source = 'abcdef'
+    const error = letters(source, undefined, 0, { maxSteps: 4 })
+    t.equals(p.formatError(source, error),
+      "stopped by the maxSteps option at character 1, got 'bcdef'")
+  }
+  t.end()
+})
+
+tape('explainError', (t) => {
+  const number = p.desc(p.regex(/[0-9]+/), 'number')
+  const value = p.alt([p.string('true'), number, p.regex(/"[^"]*"/)])
+  const setting = p.desc(
+    p.seq([p.regex(/[a-z]+/), p.string(' = '), value, p.string('\n')]),
+    'setting')
+  const config = p.times(setting, 2)
+
+  {
+    const source = 'a = 1\nb = x\n'
+    t.deepEquals(p.explainError(source, config(source)), {
+      message: "expected setting at character 10, got 'x\n'",
+      index: 10,
+      line: 2,
+      column: 5,
+      expected: ['setting'],
+      groups: { literals: [], patterns: [], descriptions: ['setting'] },
+      found: 'x',
+      context: [],
+      rules: ['setting', 'number']
+    })
+  }
+  {
+    const source = 'a = 1\nb = x\n'
+    const explanation = p.explainError(source, p.times(p.seq([
+      p.regex(/[a-z]+/), p.string(' = '), value, p.string('\n')]), 2)(source))
+    t.deepEquals(explanation.expected, [
+      '/"[^"]*"/', 'number', "'true'"])
+    t.deepEquals(explanation.groups, {
+      literals: ["'true'"],
+      patterns: ['/"[^"]*"/'],
+      descriptions: ['number']
+    })
+    t.deepEquals(explanation.rules, ['number'])
+  }
+  {
+    const aa = p.alt([p.string('a'), p.string('a')])
+    const explanation = p.explainError('', aa(''))
+    t.deepEquals(explanation.expected, ["'a'"])
+    t.equals(explanation.found, undefined)
+  }
+  {
+    const custom = p.custom((input, i) => ({ status: false, index: i, value: [42] }))
+    const explanation = p.explainError('x', custom('x'))
+    t.equals(explanation.message, "expected 42 at character 0, got 'x'")
+    t.deepEquals(explanation.groups,
+      { literals: [], patterns: [], descriptions: ['42'] })
+  }
+  {
+    // Rules that failed earlier than the parse did aren't listed.
+    const parser = p.seq([
+      p.alt([p.desc(p.string('ab'), 'ab'), p.string('a')]),
+      p.string('c')])
+    t.deepEquals(p.explainError('ax', parser('ax')).rules, [])
+    const explanation = p.explainError('x', p.desc(p.string('ab'), 'ab')._('x', 0))
+    t.deepEquals(explanation.rules, [])
+  }
+  {
+    const letters = p.times(p.regex(/[a-z]/), 0, Infinity)
+    const source = 'ab\ncd'
+    const error = letters(source, undefined, 0, { maxSteps: 5 })
+    t.deepEquals(p.explainError(source, error), {
+      message: "stopped by the maxSteps option at character 2, got '\ncd'",
+      index: 2,
+      line: 1,
+      column: 3,
+      expected: [],
+      groups: { literals: [], patterns: [], descriptions: [] },
+      found: '\n',
+      context: [],
+      rules: [],
+      aborted: 'maxSteps'
+    })
+  }
+  {
+    const tokens = [{ type: 'a' }, { type: 'b' }]
+    const explanation = p.explainError(tokens, p.token('a')(tokens))
+    t.equals(explanation.index, 1)
+    t.equals(explanation.line, undefined)
+    t.deepEquals(explanation.found, { type: 'b' })
+  }
+  t.equals(p.explainError('😀', p.string('x')('😀')).found, '😀')
+  t.end()
+})
+
+tape('codeFrame', (t) => {
+  const line = p.seq([p.regex(/[\ta-z]*/), p.string(';'), p.regex(/\r?\n/)])
+  const lines = (count) => p.times(line, count)
+
+  {
+    const source = 'one;\ntwo;\nthree;\nfour\nfive;\n'
+    t.equals(p.codeFrame(source, lines(5)(source)), [
+      '  2 | two;',
+      '  3 | three;',
+      '> 4 | four',
+      '    |     ^ expected \';\''
+    ].join('\n'))
+    t.equals(p.codeFrame(source, lines(5)(source),
+      { linesBefore: 0, linesAfter: 5 }), [
+      '> 4 | four',
+      '    |     ^ expected \';\'',
+      '  5 | five;',
+      '  6 | '
+    ].join('\n'))
+  }
+  {
+    const source = 'a;\r\n\tb\r\n'
+    t.equals(p.codeFrame(source, lines(2)(source)), [
+      '  1 | a;',
+      '> 2 | \tb',
+      '    | \t ^ expected \';\''
+    ].join('\n'))
+  }
+  {
+    const source = 'a;\n'.repeat(9) + 'b'
+    t.equals(p.codeFrame(source, lines(10)(source), { linesBefore: 1 }), [
+      '   9 | a;',
+      '> 10 | b',
+      '     |  ^ expected \';\''
+    ].join('\n'))
+  }
+  {
+    const source = 'a'
+    t.equals(p.codeFrame(source, lines(1)(source), { colour: true }), [
+      '\u001b[31m>\u001b[39m 1 | a',
+      '    |  \u001b[31m^ expected \';\'\u001b[39m'
+    ].join('\n'))
+  }
+  t.throws(() => p.codeFrame(['a'], p.token('b')(['a'])), /codeFrame/)
+  t.end()
+})
+
+// To test debug functionality, we have to capture what's logged to the
+// console.  For this, we have to spawn separate processes to run each test,
+// and capture its stdout.
+
+const run = (script, env) => {
+  // Merge the new env over existing process.env, so we keep environment
+  // variables already specified in the environment.
+  env = Object.assign({}, process.env, env)
+
+  const scriptWithImport = `const p = require('.');\n${script}`
+  return spawnSync('node',
+    { input: scriptWithImport, encoding: 'utf-8', env })
+}
+
+tape('debug', (t) => {
+  // First a basic test with colour
+  {
+    const { stdout, stderr, error } = run('p.debug(p.string(\'a\'))(\'a\')', { FORCE_COLOR: 1 })
+    t.equals(error, undefined)
+    t.equals(stderr, '')
+    t.equals(stdout, [
+      `${colour.inverse('a')} 1,1 ${colour.blue('string("a")')} ?`,
+      `${colour.bgGreen('a')} 1,1 ${colour.blue('string("a")')} ${colour.green('OKAY')} ${colour.yellow('"a"')} (len 1)`,
+      ''
+    ].join('\n'))
+  }
+  // Testing highlighting of EOF (appears as highlighted blank space after the input
   {
     const { stdout, stderr, error } = run('p.debug(p.times(p.string(\'a\'), 0, Infinity))(\'a\')', { FORCE_COLOR: 1 })
     t.equals(error, undefined)
@@ -850,6 +3355,84 @@ tape('debug', (t) => {
       ''
     ].join('\n'))
   }
+  // Test parsers that don't consume input
+  {
+    const { stdout, stderr } = run(
+      'p.debug(p.seq([p.lookahead(p.string("a")), p.notFollowedBy(p.string("b")), p.any]))("a")')
+    t.equals(stderr, '')
+    t.equals(stdout, [
+      'a 1,1 seq(*3) ?',
+      'a · 1,1 lookahead ?',
+      'a · · 1,1 string("a") ?',
+      'a · · 1,1 string("a") OKAY "a" (len 1)',
+      'a · 1,1 lookahead OKAY (consumed nothing)',
+      'a · 1,1 notFollowedBy ?',
+      'a · · 1,1 string("b") ?',
+      'a · · 1,1 string("b") FAIL ["\'b\'"]',
+      'a · 1,1 notFollowedBy OKAY (consumed nothing)',
+      'a · 1,1 any ?',
+      'a · 1,1 any OKAY "a" (len 1)',
+      'a 1,1 seq(*3) OKAY "a" (len 1)',
+      ''
+    ].join('\n'))
+  }
+  // Test token arrays, shown as their tokens' values
+  {
+    const { stdout, stderr } = run([
+      'const tokens = [{ type: "a", value: "x" }, { type: "b", value: "yz" }]',
+      'p.debug(p.seq([p.token("a"), p.token("a")]))(tokens)'
+    ].join('\n'))
+    t.equals(stderr, '')
+    t.equals(stdout, [
+      'x␣yz #0 seq(*2) ?',
+      'x␣yz · #0 token("a") ?',
+      'x␣yz · #0 token("a") OKAY [{"type":"a","value":"x"}] (len 1)',
+      'x␣yz · #1 token("a") ?',
+      'x␣yz · #1 token("a") FAIL ["a token of type \\"a\\""]',
+      'x␣yz #0 seq(*2) FAIL ["a token of type \\"a\\""]',
+      ''
+    ].join('\n'))
+  }
+  // Test binary input, shown as hex bytes
+  {
+    const { stdout, stderr } = run(
+      'p.debug(p.seq([p.byte(1), p.uint(16, "big")]))(Buffer.from([1, 0, 2]))')
+    t.equals(stderr, '')
+    t.equals(stdout, [
+      '01␣00␣02 #0 seq(*2) ?',
+      '01␣00␣02 · #0 byte(0x01) ?',
+      '01␣00␣02 · #0 byte(0x01) OKAY <01> (len 1)',
+      '01␣00␣02 · #1 uint(16,big) ?',
+      '01␣00␣02 · #1 uint(16,big) OKAY <00 02> (len 2)',
+      '01␣00␣02 #0 seq(*2) OKAY <01 00 02> (len 3)',
+      ''
+    ].join('\n'))
+  }
+  // Test results reused by p.reparse
+  {
+    const { stdout, stderr } = run([
+      'const parser = p.debug(p.times(p.memo(p.string(\'a\')), 0, Infinity))',
+      'const first = parser(\'a\', undefined, 0, { incremental: true })',
+      'p.reparse(first, 1, 0, \'a\')'
+    ].join('\n'))
+    t.equals(stderr, '')
+    // The first 10 lines are from the first parse
+    t.equals(stdout.split('\n').slice(10).join('\n'), [
+      'aa 1,1 times(0,Infinity) ?',
+      'aa · 1,1 memo ?',
+      'aa · · 1,1 string("a") REUSED "a" (len 1)',
+      'aa · 1,1 memo OKAY "a" (len 1)',
+      'aa · 1,2 memo ?',
+      'aa · · 1,2 string("a") ?',
+      'aa · · 1,2 string("a") OKAY "a" (len 1)',
+      'aa · 1,2 memo OKAY "a" (len 1)',
+      'aa · 1,3 memo ?',
+      'aa · · 1,3 string("a") REUSED FAIL ["\'a\'"]',
+      'aa · 1,3 memo FAIL ["\'a\'"]',
+      'aa 1,1 times(0,Infinity) OKAY "aa" (len 2)',
+      ''
+    ].join('\n'))
+  }
   t.end()
 })
 
@@ -869,6 +3452,12 @@ tape('debug handler', (t) => {
   t.deepEquals(exitArgs,
     [parser, 'a', 0, { envValue: 42 },
       { status: true, index: 1, value: 'a' }])
+
+  // The reuse method is optional
+  const memoParser = p.debug(p.memo(parser), handler)
+  const result = memoParser('a', undefined, 0, { incremental: true })
+  t.deepEquals(p.reparse(result, 1, 0, ''),
+    { status: true, index: 1, value: 'a' })
   t.end()
 })
 
@@ -906,5 +3495,31 @@ tape('debug.makeHandler', (t) => {
     'aa    data',
     ''
   ].join('\n'))
+
+  // Same for results reused by p.reparse
+  {
+    const { stdout, stderr } = run(`
+      const parser = p.debug(
+        p.seq([p.memo(p.string('a')), p.memo(p.string('b'))]),
+        p.debug.makeHandler({
+          context: 5,
+          padIfShort: true,
+          enter: () => false,
+          exit: () => false,
+          reuse: (parser, input, offset, env, result) => {
+            if (offset > 0) { return false }
+            return 'extra'
+          }
+        })
+      )
+      p.reparse(parser('ab', undefined, 0, { incremental: true }), 1, 0, '')
+    `)
+    t.equals(stderr, '')
+    t.equals(stdout, [
+      'ab    · · 1,1 string("a") REUSED "a" (len 1)',
+      'ab    · · extra',
+      ''
+    ].join('\n'))
+  }
   t.end()
 })